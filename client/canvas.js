@@ -1,23 +1,175 @@
+// Logical board size; every stored coordinate is in this world space and
+// each client scales it to its own viewport. At 100% zoom the board's
+// width fits the canvas, but the world extends past it in every direction
+const BOARD_WIDTH = 1600;
+const BOARD_HEIGHT = 900;
+
+// PNG export: space around the content and the largest image side
+const EXPORT_PADDING = 20;
+const MAX_EXPORT_SIZE = 8192;
+
+// Zoom limits (1 = 100%)
+const MIN_ZOOM = 0.1;
+const MAX_ZOOM = 8;
+
+// Tools drawn from a start point to an end point rather than freehand
+const SHAPE_TOOLS = ['line', 'rectangle', 'ellipse', 'arrow'];
+
+// Layer every room starts with (matches the server)
+const DEFAULT_LAYER_ID = 'default';
+
+// Text rendering, shared with the in-place editor so both line up
+const TEXT_FONT_FAMILY = 'Helvetica, Arial, sans-serif';
+const TEXT_LINE_HEIGHT = 1.25;
+
+// With the stabilizer on, freehand strokes trail the pointer on a string
+// this long (CSS pixels), which evens out shaky lines
+const STABILIZER_RADIUS = 12;
+
+// Pen strokes store pressure (0-1) per point; at no pressure a stroke is
+// this fraction of its width (matches the SVG export)
+const MIN_PRESSURE_WIDTH = 0.2;
+
+/**
+ * Width of a stroke at a point; points without pressure get the full width
+ */
+function getPressureWidth(strokeWidth, pressure) {
+  if (pressure === undefined) return strokeWidth;
+  return strokeWidth * (MIN_PRESSURE_WIDTH + (1 - MIN_PRESSURE_WIDTH) * pressure);
+}
+
+/**
+ * Pressure of the segment between two points, if they have any
+ */
+function getSegmentPressure(a, b) {
+  if (a.p === undefined || b.p === undefined) return undefined;
+  return (a.p + b.p) / 2;
+}
+
+// Moved, scaled or rotated operations carry an affine transform
+// [a, b, c, d, e, f] in ctx.transform() order: x' = ax + cy + e, y' = bx + dy + f
+const IDENTITY_TRANSFORM = [1, 0, 0, 1, 0, 0];
+
+/**
+ * Combine two transforms: the result applies n first, then m
+ */
+function multiplyTransforms(m, n) {
+  return [
+    m[0] * n[0] + m[2] * n[1],
+    m[1] * n[0] + m[3] * n[1],
+    m[0] * n[2] + m[2] * n[3],
+    m[1] * n[2] + m[3] * n[3],
+    m[0] * n[4] + m[2] * n[5] + m[4],
+    m[1] * n[4] + m[3] * n[5] + m[5]
+  ];
+}
+
+function transformPoint(m, point) {
+  return {
+    x: m[0] * point.x + m[2] * point.y + m[4],
+    y: m[1] * point.x + m[3] * point.y + m[5]
+  };
+}
+
+function invertTransform(m) {
+  const det = m[0] * m[3] - m[1] * m[2];
+  return [
+    m[3] / det,
+    -m[1] / det,
+    -m[2] / det,
+    m[0] / det,
+    (m[2] * m[5] - m[3] * m[4]) / det,
+    (m[1] * m[4] - m[0] * m[5]) / det
+  ];
+}
+
 /**
  * Canvas Drawing Manager
  * Handles all canvas operations, path optimization, and rendering
  */
 class CanvasManager {
-  constructor(canvasElement) {
+  constructor(canvasElement, previewCanvasElement) {
     this.canvas = canvasElement;
     this.ctx = canvasElement.getContext('2d', { willReadFrequently: false });
     
+    // Overlay for in-progress shapes, cleared and redrawn while dragging
+    this.previewCanvas = previewCanvasElement;
+    this.previewCtx = previewCanvasElement.getContext('2d');
+    
     // Drawing state
     this.isDrawing = false;
     this.currentPath = [];
     this.tool = 'brush';
     this.color = '#000000';
+    this.fill = null;
     this.strokeWidth = 5;
+    this.fontSize = 24;
+    this.smoothing = 1;
+    this.stabilizer = false;
+
+    // Where the pointer is while drawing; with the stabilizer the stroke
+    // lags behind it
+    this.pointerPosition = null;
+
+    // The local freehand stroke is rendered here, whole, every frame it
+    // changes and shown over (or, erasing, cut out of) its layer until it
+    // is committed. That way it is smoothed exactly like stored strokes.
+    // The layer and the stroke are combined on mergeSurface
+    this.strokeSurface = null;
+    this.strokeDirty = false;
+    this.mergeSurface = null;
+
+    // Smoothed points of stored paths, so redraws don't recompute them
+    this.smoothedPoints = new WeakMap();
+
+    // Operation left out of redraws while it is being edited
+    this.hiddenOperationId = null;
+
+    // Transforms shown instead of the stored ones while a selection is dragged
+    this.transformOverrides = new Map();
+
+    // Operations the stroke eraser passed over, hidden until they are removed
+    this.erasedOperations = new Set();
+
+    // Operations of a replay frame or version preview, shown instead of
+    // the room while set
+    this.replayOperations = null;
+
+    // Room's layer stack (bottom first) and the one new content goes on.
+    // Each layer is drawn on its own offscreen surface so the eraser only
+    // affects its layer; the visible surfaces are composited onto the canvas
+    this.layers = [{ id: DEFAULT_LAYER_ID, name: 'Layer 1', visible: true, locked: false }];
+    this.activeLayerId = DEFAULT_LAYER_ID;
+    this.layerSurfaces = new Map();
+    this.compositePending = false;
+
+    // Other users' strokes that are still being drawn, keyed by user and
+    // stroke id; rendered on the overlay until they are committed
+    this.liveStrokes = new Map();
+
+    // Outlines of what other users see, by user id:
+    // { x, y, width, height, color, label }
+    this.viewportOutlines = new Map();
 
     // Performance optimization
     this.pathBuffer = [];
     this.lastPoint = null;
 
+    // View transform: screen = world * scale + pan (CSS pixels)
+    // baseScale fits the board width into the canvas, zoom multiplies it
+    this.baseScale = 1;
+    this.zoom = 1;
+    this.scale = 1;
+    this.panX = 0;
+    this.panY = 0;
+    this.viewUpdatePending = false;
+
+    // Called after a resize, pan or zoom so the owner can re-render
+    this.onViewChange = null;
+
+    // Called with the overlay context to draw extra overlays (selection)
+    this.onRenderOverlay = null;
+
     // Initialize canvas size
     this.resizeCanvas();
     window.addEventListener('resize', () => this.resizeCanvas());
@@ -27,61 +179,440 @@ class CanvasManager {
   }
   
   setupCanvas() {
+    this.applyViewTransform();
+
     // Enable smooth lines
-    this.ctx.lineCap = 'round';
-    this.ctx.lineJoin = 'round';
+    this.getContexts().forEach(ctx => {
+      ctx.lineCap = 'round';
+      ctx.lineJoin = 'round';
+    });
     
     // Set initial drawing properties
     this.ctx.strokeStyle = this.color;
     this.ctx.lineWidth = this.strokeWidth;
   }
   
-  resizeCanvas() {
-    // Save current canvas content (with error handling for empty canvas)
-    let imageData = null;
-    try {
-      if (this.canvas.width > 0 && this.canvas.height > 0) {
-        imageData = this.ctx.getImageData(0, 0, this.canvas.width, this.canvas.height);
-      }
-    } catch (e) {
-      console.warn('Could not save canvas content during resize:', e);
+  /**
+   * Draw in world coordinates through the current view; the backing store
+   * also covers the device pixel ratio so lines stay sharp on high-DPI screens
+   */
+  applyViewTransform() {
+    const pixelRatio = window.devicePixelRatio || 1;
+    const ratio = this.scale * pixelRatio;
+
+    this.getContexts().forEach(ctx => {
+      ctx.setTransform(ratio, 0, 0, ratio, this.panX * pixelRatio, this.panY * pixelRatio);
+    });
+    this.strokeDirty = true;
+  }
+
+  /**
+   * Every context that follows the view: canvas, overlay and layer surfaces
+   */
+  getContexts() {
+    const contexts = [this.ctx, this.previewCtx];
+    this.layerSurfaces.forEach(surface => contexts.push(surface.getContext('2d')));
+    if (this.strokeSurface) {
+      contexts.push(this.strokeSurface.getContext('2d'));
     }
+    return contexts;
+  }
 
-    // Resize canvas to fit container while maintaining aspect ratio
-    const container = this.canvas.parentElement;
+  /**
+   * Fill the container with the canvas and re-render at the new size
+   * Content is redrawn from operations (via onViewChange), never copied as pixels
+   */
+  resizeCanvas() {
+    const container = this.canvas.closest('.canvas-wrapper');
     const maxWidth = container.clientWidth - 40;
     const maxHeight = container.clientHeight - 40;
 
     // Ensure minimum dimensions
     if (maxWidth <= 0 || maxHeight <= 0) return;
 
-    // Use a 16:9 aspect ratio
-    let width = maxWidth;
-    let height = width * 9 / 16;
+    // Ensure valid dimensions
+    const width = Math.max(1, Math.floor(maxWidth));
+    const height = Math.max(1, Math.floor(maxHeight));
+
+    const pixelRatio = window.devicePixelRatio || 1;
+    this.baseScale = width / BOARD_WIDTH;
+    this.scale = this.baseScale * this.zoom;
+    this.viewWidth = width;
+    this.viewHeight = height;
+
+    [this.canvas, this.previewCanvas].forEach(element => {
+      element.style.width = `${width}px`;
+      element.style.height = `${height}px`;
+      element.width = Math.floor(width * pixelRatio);
+      element.height = Math.floor(height * pixelRatio);
+    });
+
+    [...this.layerSurfaces.values(), this.strokeSurface].forEach(surface => {
+      if (!surface) return;
+      surface.width = this.canvas.width;
+      surface.height = this.canvas.height;
+    });
+
+    // Resizing resets the context, so restore transform and styles
+    this.setupCanvas();
 
-    if (height > maxHeight) {
-      height = maxHeight;
-      width = height * 16 / 9;
+    if (this.onViewChange) {
+      this.onViewChange();
     }
+  }
 
-    // Ensure valid dimensions
-    width = Math.max(1, Math.floor(width));
-    height = Math.max(1, Math.floor(height));
-
-    this.canvas.width = width;
-    this.canvas.height = height;
-
-    // Restore canvas content if we had any
-    if (imageData) {
-      try {
-        this.ctx.putImageData(imageData, 0, 0);
-      } catch (e) {
-        console.warn('Could not restore canvas content during resize:', e);
+  /**
+   * Zoom by a factor keeping the world point under (screenX, screenY) fixed
+   * Screen coordinates are CSS pixels relative to the canvas
+   */
+  zoomAt(screenX, screenY, factor) {
+    const zoom = Math.max(MIN_ZOOM, Math.min(MAX_ZOOM, this.zoom * factor));
+    if (zoom === this.zoom) return;
+
+    const worldX = (screenX - this.panX) / this.scale;
+    const worldY = (screenY - this.panY) / this.scale;
+
+    this.zoom = zoom;
+    this.scale = this.baseScale * zoom;
+    this.panX = screenX - worldX * this.scale;
+    this.panY = screenY - worldY * this.scale;
+
+    this.requestViewUpdate();
+  }
+
+  /**
+   * Zoom around the middle of the canvas (toolbar buttons)
+   */
+  zoomBy(factor) {
+    this.zoomAt(this.viewWidth / 2, this.viewHeight / 2, factor);
+  }
+
+  /**
+   * Move the view by a distance in CSS pixels
+   */
+  panBy(dx, dy) {
+    this.panX += dx;
+    this.panY += dy;
+    this.requestViewUpdate();
+  }
+
+  /**
+   * Back to 100% with the board's top-left corner in view
+   */
+  resetView() {
+    this.zoom = 1;
+    this.scale = this.baseScale;
+    this.panX = 0;
+    this.panY = 0;
+    this.requestViewUpdate();
+  }
+
+  /**
+   * Zoom and pan so all operations are visible
+   */
+  fitToContent(operations) {
+    const bounds = this.getContentBounds(operations);
+    if (!bounds) {
+      this.resetView();
+      return;
+    }
+
+    this.showArea({
+      x: bounds.minX,
+      y: bounds.minY,
+      width: bounds.maxX - bounds.minX,
+      height: bounds.maxY - bounds.minY
+    }, 40);
+  }
+
+  /**
+   * Zoom and pan so a world-space area fits the canvas, centered, with a
+   * margin in CSS pixels around it
+   */
+  showArea(area, margin = 0) {
+    const width = Math.max(area.width, 1);
+    const height = Math.max(area.height, 1);
+    const scale = Math.min(
+      (this.viewWidth - margin * 2) / width,
+      (this.viewHeight - margin * 2) / height
+    );
+
+    this.zoom = Math.max(MIN_ZOOM, Math.min(MAX_ZOOM, scale / this.baseScale));
+    this.scale = this.baseScale * this.zoom;
+
+    this.panX = this.viewWidth / 2 - (area.x + width / 2) * this.scale;
+    this.panY = this.viewHeight / 2 - (area.y + height / 2) * this.scale;
+
+    this.requestViewUpdate();
+  }
+
+  /**
+   * The world-space area the canvas shows: { x, y, width, height }
+   */
+  getViewport() {
+    return {
+      x: -this.panX / this.scale,
+      y: -this.panY / this.scale,
+      width: this.viewWidth / this.scale,
+      height: this.viewHeight / this.scale
+    };
+  }
+
+  /**
+   * World-space box around a set of operations, or null if there are none
+   */
+  getContentBounds(operations) {
+    let bounds = null;
+
+    operations.forEach(op => {
+      const box = this.getOperationBounds(op);
+      if (!box) return;
+
+      if (!bounds) {
+        bounds = { ...box };
+      } else {
+        bounds.minX = Math.min(bounds.minX, box.minX);
+        bounds.minY = Math.min(bounds.minY, box.minY);
+        bounds.maxX = Math.max(bounds.maxX, box.maxX);
+        bounds.maxY = Math.max(bounds.maxY, box.maxY);
       }
+    });
+
+    return bounds;
+  }
+
+  /**
+   * World-space box around one operation, including its transform
+   */
+  getOperationBounds(op) {
+    const box = this.getLocalBounds(op);
+    if (!box) return null;
+
+    const transform = this.getTransform(op);
+    if (transform === IDENTITY_TRANSFORM) return box;
+
+    const corners = [
+      { x: box.minX, y: box.minY }, { x: box.maxX, y: box.minY },
+      { x: box.minX, y: box.maxY }, { x: box.maxX, y: box.maxY }
+    ].map(point => transformPoint(transform, point));
+
+    return {
+      minX: Math.min(...corners.map(p => p.x)),
+      minY: Math.min(...corners.map(p => p.y)),
+      maxX: Math.max(...corners.map(p => p.x)),
+      maxY: Math.max(...corners.map(p => p.y))
+    };
+  }
+
+  /**
+   * Transform an operation is drawn with (a drag preview wins)
+   */
+  getTransform(op) {
+    return this.transformOverrides.get(op.id) || op.transform || IDENTITY_TRANSFORM;
+  }
+
+  /**
+   * Show operations with other transforms until cleared (selection drag)
+   */
+  setTransformOverrides(overrides) {
+    this.transformOverrides = overrides;
+  }
+
+  /**
+   * Box around one operation before its transform is applied
+   */
+  getLocalBounds(op) {
+    if (!op.points || op.points.length === 0) return null;
+
+    if (op.tool === 'text') {
+      const text = this.getTextBounds(op);
+      return {
+        minX: text.x,
+        minY: text.y,
+        maxX: text.x + text.width,
+        maxY: text.y + text.height
+      };
     }
-    this.setupCanvas();
+
+    // Arrow heads stick out past the end point
+    const extra = op.tool === 'arrow'
+      ? Math.max(12, op.strokeWidth * 3)
+      : (op.strokeWidth || 0) / 2;
+    const xs = op.points.map(p => p.x);
+    const ys = op.points.map(p => p.y);
+
+    return {
+      minX: Math.min(...xs) - extra,
+      minY: Math.min(...ys) - extra,
+      maxX: Math.max(...xs) + extra,
+      maxY: Math.max(...ys) + extra
+    };
+  }
+
+  /**
+   * Apply the new view and notify the owner once per animation frame
+   */
+  requestViewUpdate() {
+    if (this.viewUpdatePending) return;
+    this.viewUpdatePending = true;
+
+    requestAnimationFrame(() => {
+      this.viewUpdatePending = false;
+      this.applyViewTransform();
+
+      if (this.onViewChange) {
+        this.onViewChange();
+      }
+    });
+  }
+
+  getZoomPercent() {
+    return Math.round(this.zoom * 100);
   }
   
+  /**
+   * Replace the layer stack (bottom first) and show the result
+   */
+  setLayers(layers) {
+    this.layers = layers.length > 0 ? layers : this.layers;
+
+    // Forget surfaces of layers that were deleted
+    const ids = new Set(this.layers.map(layer => layer.id));
+    Array.from(this.layerSurfaces.keys()).forEach(id => {
+      if (!ids.has(id)) {
+        this.layerSurfaces.delete(id);
+      }
+    });
+
+    this.composite();
+  }
+
+  setActiveLayer(layerId) {
+    this.activeLayerId = layerId;
+  }
+
+  getLayer(layerId) {
+    return this.layers.find(layer => layer.id === layerId) || null;
+  }
+
+  /**
+   * Layer an operation is shown on; operations whose layer was deleted
+   * fall back to the bottom layer, as on the server
+   */
+  getOperationLayer(operation) {
+    return this.getLayer(operation.layerId) || this.layers[0];
+  }
+
+  /**
+   * Offscreen surface for a layer, created on first use
+   */
+  getLayerContext(layerId) {
+    let surface = this.layerSurfaces.get(layerId);
+
+    if (!surface) {
+      surface = document.createElement('canvas');
+      surface.width = this.canvas.width;
+      surface.height = this.canvas.height;
+      this.layerSurfaces.set(layerId, surface);
+
+      const ctx = surface.getContext('2d');
+      ctx.lineCap = 'round';
+      ctx.lineJoin = 'round';
+      this.applyViewTransform();
+    }
+
+    return surface.getContext('2d');
+  }
+
+  /**
+   * Surface for the local stroke in progress, created on first use
+   */
+  getStrokeContext() {
+    if (!this.strokeSurface) {
+      this.strokeSurface = document.createElement('canvas');
+      this.strokeSurface.width = this.canvas.width;
+      this.strokeSurface.height = this.canvas.height;
+
+      const ctx = this.strokeSurface.getContext('2d');
+      ctx.lineCap = 'round';
+      ctx.lineJoin = 'round';
+      this.applyViewTransform();
+    }
+
+    return this.strokeSurface.getContext('2d');
+  }
+
+  isDrawingStroke() {
+    return this.isDrawing && !this.isShapeTool(this.tool);
+  }
+
+  /**
+   * Show the visible layers on the canvas, bottom first
+   */
+  composite() {
+    this.clearContext(this.ctx);
+
+    this.layers.forEach(layer => {
+      const surface = this.layerSurfaces.get(layer.id);
+      if (!layer.visible || !surface) return;
+
+      this.ctx.save();
+      this.ctx.setTransform(1, 0, 0, 1, 0, 0);
+      this.ctx.globalCompositeOperation = 'source-over';
+      if (this.isDrawingStroke() && layer.id === this.activeLayerId) {
+        this.ctx.drawImage(this.getLayerWithStroke(surface), 0, 0);
+      } else {
+        this.ctx.drawImage(surface, 0, 0);
+      }
+      this.ctx.restore();
+    });
+  }
+
+  /**
+   * The active layer with the stroke in progress on it. Brush strokes
+   * are simply drawn on top; eraser strokes are cut out of a copy
+   */
+  getLayerWithStroke(surface) {
+    const strokeCtx = this.getStrokeContext();
+    if (this.strokeDirty) {
+      this.clearContext(strokeCtx);
+      this.drawPath({ ...this.getCurrentStroke(), tool: 'brush', color: this.tool === 'eraser' ? '#000000' : this.color }, strokeCtx);
+      this.strokeDirty = false;
+    }
+
+    if (!this.mergeSurface) {
+      this.mergeSurface = document.createElement('canvas');
+    }
+    const result = this.mergeSurface;
+    if (result.width !== surface.width || result.height !== surface.height) {
+      result.width = surface.width;
+      result.height = surface.height;
+    }
+
+    const ctx = result.getContext('2d');
+    ctx.clearRect(0, 0, result.width, result.height);
+    ctx.globalCompositeOperation = 'source-over';
+    ctx.drawImage(surface, 0, 0);
+    ctx.globalCompositeOperation = this.tool === 'eraser' ? 'destination-out' : 'source-over';
+    ctx.drawImage(this.strokeSurface, 0, 0);
+    ctx.globalCompositeOperation = 'source-over';
+
+    return result;
+  }
+
+  /**
+   * Composite once per animation frame while a stroke is being drawn
+   */
+  requestComposite() {
+    if (this.compositePending) return;
+    this.compositePending = true;
+
+    requestAnimationFrame(() => {
+      this.compositePending = false;
+      this.composite();
+    });
+  }
+
   setTool(tool) {
     this.tool = tool;
   }
@@ -91,87 +622,135 @@ class CanvasManager {
     this.ctx.strokeStyle = color;
   }
   
+  /**
+   * Set the fill color for shapes (null for no fill)
+   */
+  setFill(color) {
+    this.fill = color;
+  }
+  
+  setFontSize(size) {
+    this.fontSize = size;
+  }
+  
+  /**
+   * Skip an operation when redrawing (e.g. text open in the editor)
+   */
+  setHiddenOperation(operationId) {
+    this.hiddenOperationId = operationId;
+  }
+  
+  /**
+   * Skip a set of operations when redrawing (stroke eraser gesture)
+   */
+  setErasedOperations(operationIds) {
+    this.erasedOperations = operationIds;
+  }
+  
+  isShapeTool(tool) {
+    return SHAPE_TOOLS.includes(tool);
+  }
+  
   setStrokeWidth(width) {
     this.strokeWidth = width;
     this.ctx.lineWidth = width;
   }
+
+  /**
+   * Smoothing level (0-3) of new freehand strokes
+   */
+  setSmoothing(level) {
+    this.smoothing = level;
+  }
+
+  setStabilizer(enabled) {
+    this.stabilizer = enabled;
+  }
   
+  /**
+   * Convert a mouse/touch position to world coordinates
+   */
   getCanvasCoordinates(clientX, clientY) {
     const rect = this.canvas.getBoundingClientRect();
     return {
-      x: clientX - rect.left,
-      y: clientY - rect.top
+      x: (clientX - rect.left - this.panX) / this.scale,
+      y: (clientY - rect.top - this.panY) / this.scale
     };
   }
 
   /**
-   * Clamp coordinates to canvas bounds
+   * Convert world coordinates to CSS pixels relative to the canvas
    */
-  clampToCanvas(x, y) {
+  toScreen(x, y) {
     return {
-      x: Math.max(0, Math.min(x, this.canvas.width)),
-      y: Math.max(0, Math.min(y, this.canvas.height))
+      x: x * this.scale + this.panX,
+      y: y * this.scale + this.panY
     };
   }
   
-  startDrawing(x, y) {
-    // Clamp coordinates to canvas bounds
-    const clamped = this.clampToCanvas(x, y);
-    x = clamped.x;
-    y = clamped.y;
+  /**
+   * pressure (0-1) is only given for pens; the stroke then varies in width
+   */
+  startDrawing(x, y, pressure) {
+    const point = pressure === undefined ? { x, y } : { x, y, p: pressure };
 
     this.isDrawing = true;
-    this.currentPath = [{ x, y }];
-    this.lastPoint = { x, y };
+    this.currentPath = [point];
+    this.lastPoint = point;
+    this.pointerPosition = point;
 
-    // Set up drawing style before starting path
-    if (this.tool === 'eraser') {
-      this.ctx.globalCompositeOperation = 'destination-out';
-      this.ctx.strokeStyle = 'rgba(0,0,0,1)';
-    } else {
-      this.ctx.globalCompositeOperation = 'source-over';
-      this.ctx.strokeStyle = this.color;
+    // Shapes are previewed on the overlay until the drag ends
+    if (this.isShapeTool(this.tool)) {
+      this.currentPath = [{ x, y }, { x, y }];
+      return;
     }
-    this.ctx.lineWidth = this.strokeWidth;
 
-    // Begin a new path
-    this.ctx.beginPath();
-    this.ctx.moveTo(x, y);
+    // Freehand strokes are shown with the active layer (see composite)
+    this.getLayerContext(this.activeLayerId);
+    this.strokeDirty = true;
+    this.requestComposite();
   }
   
-  draw(x, y) {
+  /**
+   * Continue the current stroke or shape
+   * constrain (Shift) keeps shapes square/circular and lines at 45° steps
+   */
+  draw(x, y, constrain = false, pressure) {
     if (!this.isDrawing) return null;
 
-    // Clamp coordinates to canvas bounds
-    const clamped = this.clampToCanvas(x, y);
-    x = clamped.x;
-    y = clamped.y;
+    if (this.isShapeTool(this.tool)) {
+      this.updateShapePreview(x, y, constrain);
+      return null;
+    }
 
-    // Add point to current path
-    this.currentPath.push({ x, y });
+    this.pointerPosition = { x, y };
+    let target = { x, y };
 
-    // Apply tool-specific drawing
-    if (this.tool === 'eraser') {
-      this.ctx.globalCompositeOperation = 'destination-out';
-      this.ctx.strokeStyle = 'rgba(0,0,0,1)';
-    } else {
-      this.ctx.globalCompositeOperation = 'source-over';
-      this.ctx.strokeStyle = this.color;
-    }
+    // The stabilizer only follows once the pointer pulls the string tight
+    if (this.stabilizer) {
+      const radius = STABILIZER_RADIUS / this.scale;
+      const dx = x - this.lastPoint.x;
+      const dy = y - this.lastPoint.y;
+      const distance = Math.hypot(dx, dy);
 
-    this.ctx.lineWidth = this.strokeWidth;
+      this.renderOverlay();
+      if (distance <= radius) return null;
+
+      const pull = (distance - radius) / distance;
+      target = { x: this.lastPoint.x + dx * pull, y: this.lastPoint.y + dy * pull };
+    }
 
-    // Draw line segment from last point to current point
-    this.ctx.beginPath();
-    this.ctx.moveTo(this.lastPoint.x, this.lastPoint.y);
-    this.ctx.lineTo(x, y);
-    this.ctx.stroke();
+    // Add point to current path; the whole stroke is redrawn next frame
+    const point = pressure === undefined ? target : { ...target, p: pressure };
+    this.currentPath.push(point);
 
-    this.lastPoint = { x, y };
+    this.lastPoint = point;
+    this.strokeDirty = true;
+    this.requestComposite();
 
     // Return path data for network transmission
     return {
-      points: [this.currentPath[this.currentPath.length - 2], { x, y }],
+      points: [this.currentPath[this.currentPath.length - 2], point],
       tool: this.tool,
       color: this.color,
       strokeWidth: this.strokeWidth
@@ -183,81 +762,633 @@ class CanvasManager {
 
     this.isDrawing = false;
 
-    // Return complete path data
+    if (this.isShapeTool(this.tool)) {
+      return this.finishShape();
+    }
+
+    // Return complete path data, without the points that hardly change
+    // its shape (or width, for pen strokes)
     const pathData = {
+      ...this.getCurrentStroke(),
+      points: PathCodec.simplifyPath(this.currentPath, PathCodec.getTolerance(this.strokeWidth), this.strokeWidth / 2)
+    };
+
+    this.currentPath = [];
+    this.lastPoint = null;
+    this.pointerPosition = null;
+    this.renderOverlay();
+
+    // The committed path replaces the preview, drawn the way everyone
+    // else draws it
+    this.drawOperation(pathData);
+
+    return pathData;
+  }
+
+  getCurrentStroke() {
+    return {
       points: this.currentPath,
       tool: this.tool,
       color: this.color,
-      strokeWidth: this.strokeWidth
+      strokeWidth: this.strokeWidth,
+      smoothing: this.smoothing,
+      layerId: this.activeLayerId
     };
+  }
+
+  /**
+   * Drop the stroke or shape being drawn (e.g. when a second finger turns
+   * it into a pinch)
+   */
+  cancelDrawing() {
+    if (!this.isDrawing) return;
 
+    this.isDrawing = false;
     this.currentPath = [];
     this.lastPoint = null;
+    this.pointerPosition = null;
+    this.renderOverlay();
+    this.composite();
+  }
+  
+  /**
+   * Move the end point of the shape being dragged and redraw the preview
+   */
+  updateShapePreview(x, y, constrain) {
+    const start = this.currentPath[0];
+    const end = constrain
+      ? this.constrainPoint(start, { x, y }, this.tool)
+      : { x, y };
 
-    // Reset composite operation
-    this.ctx.globalCompositeOperation = 'source-over';
+    this.currentPath = [start, end];
 
-    return pathData;
+    this.renderOverlay();
   }
-  
+
+  /**
+   * Snap an end point: lines to 45° steps, boxes to squares/circles
+   */
+  constrainPoint(start, end, tool) {
+    const dx = end.x - start.x;
+    const dy = end.y - start.y;
+
+    if (tool === 'line' || tool === 'arrow') {
+      const step = Math.PI / 4;
+      const angle = Math.round(Math.atan2(dy, dx) / step) * step;
+      const length = Math.hypot(dx, dy);
+      return {
+        x: start.x + Math.cos(angle) * length,
+        y: start.y + Math.sin(angle) * length
+      };
+    }
+
+    const size = Math.max(Math.abs(dx), Math.abs(dy));
+    return {
+      x: start.x + size * (dx < 0 ? -1 : 1),
+      y: start.y + size * (dy < 0 ? -1 : 1)
+    };
+  }
+
+  getCurrentShape() {
+    const closed = this.tool === 'rectangle' || this.tool === 'ellipse';
+    return {
+      points: this.currentPath,
+      tool: this.tool,
+      color: this.color,
+      fill: closed ? this.fill : null,
+      strokeWidth: this.strokeWidth,
+      layerId: this.activeLayerId
+    };
+  }
+
+  /**
+   * Commit the dragged shape to the active layer
+   * Returns null for a click without a drag
+   */
+  finishShape() {
+    const shape = this.getCurrentShape();
+    const [start, end] = shape.points;
+
+    this.currentPath = [];
+    this.lastPoint = null;
+    this.renderOverlay();
+
+    if (start.x === end.x && start.y === end.y) {
+      return null;
+    }
+
+    this.drawOperation(shape);
+    return shape;
+  }
+
+  /**
+   * Draw any stored operation on top of its layer and show the result
+   * With a context, draw it there instead (used for exports)
+   */
+  drawOperation(operation, ctx = null) {
+    if (ctx) {
+      this.renderOperation(operation, ctx);
+      return;
+    }
+
+    // Live changes wait until the replay is closed
+    if (this.replayOperations) return;
+
+    const layer = this.getOperationLayer(operation);
+    this.renderOperation(operation, this.getLayerContext(layer.id));
+    this.composite();
+  }
+
+  /**
+   * Render freehand paths, shapes or text onto a context
+   */
+  renderOperation(operation, ctx) {
+    if (operation.id && (operation.id === this.hiddenOperationId || this.erasedOperations.has(operation.id))) {
+      return;
+    }
+
+    const transform = this.getTransform(operation);
+    ctx.save();
+    ctx.transform(...transform);
+
+    if (operation.tool === 'text') {
+      this.drawText(ctx, operation);
+    } else if (this.isShapeTool(operation.tool)) {
+      this.drawShape(ctx, operation);
+    } else {
+      this.drawPath(operation, ctx);
+    }
+
+    ctx.restore();
+  }
+
+  /**
+   * Draw a text operation; the anchor point is the top-left corner
+   */
+  drawText(ctx, textData) {
+    if (!textData || !textData.text || !textData.points || textData.points.length === 0) {
+      return;
+    }
+
+    const { x, y } = textData.points[0];
+    const lineHeight = textData.fontSize * TEXT_LINE_HEIGHT;
+
+    ctx.save();
+    ctx.globalCompositeOperation = 'source-over';
+    ctx.fillStyle = textData.color;
+    ctx.font = this.getFont(textData.fontSize);
+    ctx.textBaseline = 'top';
+
+    textData.text.split('\n').forEach((line, i) => {
+      ctx.fillText(line, x, y + i * lineHeight);
+    });
+
+    ctx.restore();
+  }
+
+  getFont(fontSize) {
+    return `${fontSize}px ${TEXT_FONT_FAMILY}`;
+  }
+
+  /**
+   * Measure the box a text operation covers
+   */
+  getTextBounds(textData) {
+    const { x, y } = textData.points[0];
+    const lines = textData.text.split('\n');
+
+    this.ctx.save();
+    this.ctx.font = this.getFont(textData.fontSize);
+    const width = Math.max(...lines.map(line => this.ctx.measureText(line).width));
+    this.ctx.restore();
+
+    return {
+      x,
+      y,
+      width,
+      height: lines.length * textData.fontSize * TEXT_LINE_HEIGHT
+    };
+  }
+
+  /**
+   * Find the topmost text operation under a point
+   */
+  findTextAt(operations, x, y) {
+    for (let i = operations.length - 1; i >= 0; i--) {
+      const op = operations[i];
+      if (op.tool !== 'text') continue;
+
+      if (this.hitTestOperation(op, x, y, 0)) {
+        return op;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Find the topmost operation under a point; erasers can't be picked
+   * tolerance is in world units
+   */
+  findOperationAt(operations, x, y, tolerance) {
+    for (let i = operations.length - 1; i >= 0; i--) {
+      const op = operations[i];
+      if (op.tool === 'eraser') continue;
+
+      if (this.hitTestOperation(op, x, y, tolerance)) {
+        return op;
+      }
+    }
+    return null;
+  }
+
   /**
-   * Draw a complete path (used for remote drawing and redo)
+   * Whether a world point touches an operation: inside text, rectangles and
+   * ellipses, or within reach of a path or line
    */
-  drawPath(pathData) {
+  hitTestOperation(op, x, y, tolerance = 0) {
+    const transform = this.getTransform(op);
+
+    // Test in the operation's own coordinates; the tolerance is scaled
+    // along with it so it stays the same on screen
+    const local = transformPoint(invertTransform(transform), { x, y });
+    const scale = Math.sqrt(Math.abs(transform[0] * transform[3] - transform[1] * transform[2]));
+    const reach = tolerance / scale;
+
+    if (op.tool === 'text' || op.tool === 'rectangle' || op.tool === 'ellipse') {
+      const box = this.getLocalBounds(op);
+      return local.x >= box.minX - reach && local.x <= box.maxX + reach &&
+        local.y >= box.minY - reach && local.y <= box.maxY + reach;
+    }
+
+    const maxDistance = (op.strokeWidth || 0) / 2 + reach;
+    const points = op.points;
+
+    if (points.length === 1) {
+      return Math.hypot(local.x - points[0].x, local.y - points[0].y) <= maxDistance;
+    }
+
+    for (let i = 1; i < points.length; i++) {
+      if (distanceToSegment(local, points[i - 1], points[i]) <= maxDistance) {
+        return true;
+      }
+    }
+    return false;
+  }
+
+  /**
+   * World-space points outlining an operation (used for lasso selection)
+   */
+  getOperationOutline(op) {
+    const transform = this.getTransform(op);
+
+    if (op.tool === 'text' || op.tool === 'rectangle' || op.tool === 'ellipse') {
+      const box = this.getLocalBounds(op);
+      return [
+        { x: box.minX, y: box.minY }, { x: box.maxX, y: box.minY },
+        { x: box.maxX, y: box.maxY }, { x: box.minX, y: box.maxY }
+      ].map(point => transformPoint(transform, point));
+    }
+
+    return op.points.map(point => transformPoint(transform, point));
+  }
+
+  /**
+   * Draw a line, rectangle, ellipse or arrow between two points
+   */
+  drawShape(ctx, shape) {
+    if (!shape || !shape.points || shape.points.length < 2) {
+      return;
+    }
+
+    const [start, end] = shape.points;
+
+    ctx.save();
+    ctx.globalCompositeOperation = 'source-over';
+    ctx.strokeStyle = shape.color;
+    ctx.lineWidth = shape.strokeWidth;
+    ctx.beginPath();
+
+    switch (shape.tool) {
+      case 'line':
+        ctx.moveTo(start.x, start.y);
+        ctx.lineTo(end.x, end.y);
+        break;
+
+      case 'arrow': {
+        // Head scales with the stroke so thick arrows stay readable
+        const angle = Math.atan2(end.y - start.y, end.x - start.x);
+        const headLength = Math.max(12, shape.strokeWidth * 3);
+        const spread = Math.PI / 7;
+
+        ctx.moveTo(start.x, start.y);
+        ctx.lineTo(end.x, end.y);
+        ctx.moveTo(end.x, end.y);
+        ctx.lineTo(
+          end.x - headLength * Math.cos(angle - spread),
+          end.y - headLength * Math.sin(angle - spread)
+        );
+        ctx.moveTo(end.x, end.y);
+        ctx.lineTo(
+          end.x - headLength * Math.cos(angle + spread),
+          end.y - headLength * Math.sin(angle + spread)
+        );
+        break;
+      }
+
+      case 'rectangle':
+        ctx.rect(
+          Math.min(start.x, end.x),
+          Math.min(start.y, end.y),
+          Math.abs(end.x - start.x),
+          Math.abs(end.y - start.y)
+        );
+        break;
+
+      case 'ellipse':
+        ctx.ellipse(
+          (start.x + end.x) / 2,
+          (start.y + end.y) / 2,
+          Math.abs(end.x - start.x) / 2,
+          Math.abs(end.y - start.y) / 2,
+          0, 0, Math.PI * 2
+        );
+        break;
+    }
+
+    if (shape.fill) {
+      ctx.fillStyle = shape.fill;
+      ctx.fill();
+    }
+    ctx.stroke();
+    ctx.restore();
+  }
+
+  /**
+   * Redraw the overlay: remote live strokes plus the local shape preview
+   */
+  renderOverlay() {
+    this.clearPreview();
+
+    if (this.replayOperations) return;
+
+    this.liveStrokes.forEach(stroke => {
+      this.drawLiveStroke(stroke, stroke.points);
+    });
+
+    if (this.isDrawing && this.isShapeTool(this.tool)) {
+      this.drawShape(this.previewCtx, this.getCurrentShape());
+    }
+
+    // The stabilizer's string, from the end of the stroke to the pointer
+    if (this.isDrawingStroke() && this.stabilizer && this.pointerPosition) {
+      const ctx = this.previewCtx;
+      ctx.save();
+      ctx.strokeStyle = 'rgba(102, 126, 234, 0.8)';
+      ctx.lineWidth = 1 / this.scale;
+      ctx.beginPath();
+      ctx.moveTo(this.lastPoint.x, this.lastPoint.y);
+      ctx.lineTo(this.pointerPosition.x, this.pointerPosition.y);
+      ctx.stroke();
+      ctx.restore();
+    }
+
+    this.viewportOutlines.forEach(outline => this.drawViewportOutline(outline));
+
+    if (this.onRenderOverlay) {
+      this.onRenderOverlay(this.previewCtx);
+    }
+  }
+
+  /**
+   * Show (or move) the outline of what another user sees
+   */
+  setViewportOutline(key, outline) {
+    this.viewportOutlines.set(key, outline);
+    this.renderOverlay();
+  }
+
+  removeViewportOutline(key) {
+    if (this.viewportOutlines.delete(key)) {
+      this.renderOverlay();
+    }
+  }
+
+  /**
+   * A dashed frame in the user's color, named at its top-left corner;
+   * line width and text keep their screen size at any zoom
+   */
+  drawViewportOutline(outline) {
+    const ctx = this.previewCtx;
+    const pixel = 1 / this.scale;
+
+    ctx.save();
+    ctx.strokeStyle = outline.color;
+    ctx.globalAlpha = 0.7;
+    ctx.lineWidth = 2 * pixel;
+    ctx.setLineDash([6 * pixel, 4 * pixel]);
+    ctx.strokeRect(outline.x, outline.y, outline.width, outline.height);
+
+    if (outline.label) {
+      ctx.globalAlpha = 1;
+      ctx.fillStyle = outline.color;
+      ctx.font = `${11 * pixel}px ${TEXT_FONT_FAMILY}`;
+      ctx.textBaseline = 'top';
+      ctx.fillText(outline.label, outline.x + 4 * pixel, outline.y + 4 * pixel);
+    }
+    ctx.restore();
+  }
+
+  /**
+   * Start rendering a remote user's in-progress stroke
+   */
+  startLiveStroke(key, stroke) {
+    const liveStroke = {
+      tool: stroke.tool,
+      color: stroke.color,
+      strokeWidth: stroke.strokeWidth,
+      smoothing: stroke.smoothing,
+      points: [stroke.point]
+    };
+
+    this.liveStrokes.set(key, liveStroke);
+    this.drawLiveStroke(liveStroke, liveStroke.points);
+  }
+
+  /**
+   * Extend a live stroke, drawing only the new segment. Smoothing can
+   * move the end of the curve, so smoothed strokes are redrawn whole
+   */
+  appendLiveStroke(key, points) {
+    const stroke = this.liveStrokes.get(key);
+    if (!stroke) return;
+
+    const last = stroke.points[stroke.points.length - 1];
+    stroke.points.push(...points);
+
+    if (stroke.smoothing) {
+      this.renderOverlay();
+    } else {
+      this.drawLiveStroke(stroke, [last, ...points]);
+    }
+  }
+
+  /**
+   * Stop rendering a live stroke (committed or cancelled)
+   */
+  endLiveStroke(key) {
+    if (this.liveStrokes.delete(key)) {
+      this.renderOverlay();
+    }
+  }
+
+  clearLiveStrokes() {
+    this.liveStrokes.clear();
+    this.renderOverlay();
+  }
+
+  /**
+   * Draw part of a live stroke on the overlay. Erasing can't be previewed
+   * on a separate layer, so live eraser strokes show as a faint trail
+   */
+  drawLiveStroke(stroke, points) {
+    if (this.replayOperations) return;
+
+    this.drawPath({
+      points: points,
+      tool: 'brush',
+      color: stroke.tool === 'eraser' ? 'rgba(128, 128, 128, 0.35)' : stroke.color,
+      strokeWidth: stroke.strokeWidth,
+      smoothing: stroke.smoothing
+    }, this.previewCtx);
+  }
+
+  /**
+   * Clear the shape preview overlay
+   */
+  clearPreview() {
+    this.clearContext(this.previewCtx);
+  }
+
+  /**
+   * Clear every pixel of a context regardless of the view transform
+   */
+  clearContext(ctx) {
+    ctx.save();
+    ctx.setTransform(1, 0, 0, 1, 0, 0);
+    ctx.clearRect(0, 0, ctx.canvas.width, ctx.canvas.height);
+    ctx.restore();
+  }
+
+  /**
+   * Draw a complete path onto a context
+   */
+  drawPath(pathData, ctx) {
     if (!pathData || !pathData.points || pathData.points.length === 0) {
       return;
     }
 
     // Save current state
-    const prevComposite = this.ctx.globalCompositeOperation;
-    const prevStroke = this.ctx.strokeStyle;
-    const prevWidth = this.ctx.lineWidth;
+    const prevComposite = ctx.globalCompositeOperation;
+    const prevStroke = ctx.strokeStyle;
+    const prevWidth = ctx.lineWidth;
 
     // Apply path settings
     if (pathData.tool === 'eraser') {
-      this.ctx.globalCompositeOperation = 'destination-out';
-      this.ctx.strokeStyle = 'rgba(0,0,0,1)';
+      ctx.globalCompositeOperation = 'destination-out';
+      ctx.strokeStyle = 'rgba(0,0,0,1)';
     } else {
-      this.ctx.globalCompositeOperation = 'source-over';
-      this.ctx.strokeStyle = pathData.color;
+      ctx.globalCompositeOperation = 'source-over';
+      ctx.strokeStyle = pathData.color;
     }
 
-    this.ctx.lineWidth = pathData.strokeWidth;
+    ctx.lineWidth = pathData.strokeWidth;
 
-    // Draw the path
-    this.ctx.beginPath();
-    this.ctx.moveTo(pathData.points[0].x, pathData.points[0].y);
+    const points = this.getRenderPoints(pathData);
+    if (points[0].p !== undefined) {
+      // Pen strokes change width along the way, one segment at a time
+      for (let i = 1; i < points.length; i++) {
+        ctx.lineWidth = getPressureWidth(pathData.strokeWidth, getSegmentPressure(points[i - 1], points[i]));
+        ctx.beginPath();
+        ctx.moveTo(points[i - 1].x, points[i - 1].y);
+        ctx.lineTo(points[i].x, points[i].y);
+        ctx.stroke();
+      }
+    } else {
+      // Draw the path
+      ctx.beginPath();
+      ctx.moveTo(points[0].x, points[0].y);
 
-    for (let i = 1; i < pathData.points.length; i++) {
-      this.ctx.lineTo(pathData.points[i].x, pathData.points[i].y);
-    }
+      for (let i = 1; i < points.length; i++) {
+        ctx.lineTo(points[i].x, points[i].y);
+      }
 
-    this.ctx.stroke();
+      ctx.stroke();
+    }
 
     // Restore previous state
-    this.ctx.globalCompositeOperation = prevComposite;
-    this.ctx.strokeStyle = prevStroke;
-    this.ctx.lineWidth = prevWidth;
+    ctx.globalCompositeOperation = prevComposite;
+    ctx.strokeStyle = prevStroke;
+    ctx.lineWidth = prevWidth;
+  }
+
+  /**
+   * Points a path is drawn through, after smoothing (shared/stroke-smoothing.js)
+   * Results are kept per point list; a list that grew since (the stroke
+   * being drawn) is smoothed again
+   */
+  getRenderPoints(pathData) {
+    if (!pathData.smoothing) return pathData.points;
+
+    const cached = this.smoothedPoints.get(pathData.points);
+    if (cached && cached.smoothing === pathData.smoothing && cached.length === pathData.points.length) {
+      return cached.points;
+    }
+
+    const points = StrokeSmoothing.smoothPoints(pathData.points, pathData.smoothing);
+    this.smoothedPoints.set(pathData.points, {
+      smoothing: pathData.smoothing,
+      length: pathData.points.length,
+      points: points
+    });
+    return points;
   }
   
+  /**
+   * Show a replay frame or a saved version instead of the room's
+   * operations until called with null. Live changes keep updating the room's operation list;
+   * they are drawn once the replay is closed
+   */
+  setReplayOperations(operations) {
+    this.replayOperations = operations;
+  }
+
   /**
    * Redraw all operations (used after undo)
    */
   redrawAll(operations) {
+    const shown = this.replayOperations || operations;
+
     // Clear canvas
     this.clear();
     
-    // Draw all operations in order
-    operations.forEach(op => {
-      this.drawPath(op);
+    // Draw all operations in order, each onto its layer
+    shown.forEach(op => {
+      const layer = this.getOperationLayer(op);
+      this.renderOperation(op, this.getLayerContext(layer.id));
     });
+    
+    this.composite();
+    
+    // Overlays such as the selection box follow the operations
+    this.renderOverlay();
   }
   
   /**
-   * Clear the canvas
+   * Clear the canvas and every layer
    */
   clear() {
-    this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
+    this.layerSurfaces.forEach(surface => this.clearContext(surface.getContext('2d')));
+    this.clearContext(this.ctx);
   }
   
   /**
@@ -267,14 +1398,94 @@ class CanvasManager {
     return this.canvas.toDataURL('image/png');
   }
   
+  /**
+   * Render operations to a PNG independent of the current view
+   * options.scale: pixels per world unit (default 1)
+   * options.background: fill color, or null for a transparent image
+   * Resolves with a Blob, or null if there is nothing to export
+   */
+  exportPNG(operations, options = {}) {
+    // What is exported is what is visible
+    const visible = operations.filter(op => this.getOperationLayer(op).visible);
+
+    const bounds = this.getContentBounds(visible);
+    if (!bounds) {
+      return Promise.resolve(null);
+    }
+
+    const width = bounds.maxX - bounds.minX + EXPORT_PADDING * 2;
+    const height = bounds.maxY - bounds.minY + EXPORT_PADDING * 2;
+
+    // Browsers refuse very large canvases, so cap the scale
+    let scale = options.scale || 1;
+    scale = Math.min(scale, MAX_EXPORT_SIZE / width, MAX_EXPORT_SIZE / height);
+
+    const exportCanvas = document.createElement('canvas');
+    exportCanvas.width = Math.ceil(width * scale);
+    exportCanvas.height = Math.ceil(height * scale);
+
+    // Each layer is rendered on its own so erasers stay within their layer
+    const ctx = exportCanvas.getContext('2d');
+    const layerCanvas = document.createElement('canvas');
+    layerCanvas.width = exportCanvas.width;
+    layerCanvas.height = exportCanvas.height;
+    const layerCtx = layerCanvas.getContext('2d');
+
+    this.layers.forEach(layer => {
+      const layerOps = visible.filter(op => this.getOperationLayer(op) === layer);
+      if (layerOps.length === 0) return;
+
+      layerCtx.setTransform(1, 0, 0, 1, 0, 0);
+      layerCtx.clearRect(0, 0, layerCanvas.width, layerCanvas.height);
+      layerCtx.setTransform(
+        scale, 0, 0, scale,
+        (EXPORT_PADDING - bounds.minX) * scale,
+        (EXPORT_PADDING - bounds.minY) * scale
+      );
+      layerCtx.lineCap = 'round';
+      layerCtx.lineJoin = 'round';
+
+      layerOps.forEach(op => this.renderOperation(op, layerCtx));
+      ctx.drawImage(layerCanvas, 0, 0);
+    });
+
+    // Background goes underneath afterwards so the eraser can't cut through it
+    if (options.background) {
+      ctx.setTransform(1, 0, 0, 1, 0, 0);
+      ctx.globalCompositeOperation = 'destination-over';
+      ctx.fillStyle = options.background;
+      ctx.fillRect(0, 0, exportCanvas.width, exportCanvas.height);
+    }
+
+    return new Promise(resolve => {
+      exportCanvas.toBlob(resolve, 'image/png');
+    });
+  }
+
   /**
    * Load canvas from data URL
    */
   fromDataURL(dataURL) {
     const img = new Image();
     img.onload = () => {
-      this.ctx.drawImage(img, 0, 0);
+      this.ctx.drawImage(img, 0, 0, BOARD_WIDTH, BOARD_HEIGHT);
     };
     img.src = dataURL;
   }
 }
+
+/**
+ * Distance from a point to the segment a-b
+ */
+function distanceToSegment(point, a, b) {
+  const dx = b.x - a.x;
+  const dy = b.y - a.y;
+  const lengthSquared = dx * dx + dy * dy;
+
+  let t = lengthSquared === 0
+    ? 0
+    : ((point.x - a.x) * dx + (point.y - a.y) * dy) / lengthSquared;
+  t = Math.max(0, Math.min(1, t));
+
+  return Math.hypot(point.x - (a.x + t * dx), point.y - (a.y + t * dy));
+}
@@ -0,0 +1,164 @@
+// Messages kept in the sidebar; older ones are dropped
+const MAX_CHAT_MESSAGES = 200;
+
+/**
+ * Chat
+ * Sidebar for talking about the board with everyone in the room. Shows
+ * the room's recent messages on joining, adds new ones as they arrive and
+ * counts the ones that came in while it was closed
+ */
+class ChatPanel {
+  constructor(wsManager) {
+    this.wsManager = wsManager;
+
+    this.button = document.getElementById('chat-btn');
+    this.badge = document.getElementById('chat-unread');
+    this.panel = document.getElementById('chat-panel');
+    this.closeButton = document.getElementById('chat-close-btn');
+    this.list = document.getElementById('chat-messages');
+    this.form = document.getElementById('chat-form');
+    this.input = document.getElementById('chat-input');
+
+    // Messages from others that arrived while the sidebar was closed
+    this.unread = 0;
+
+    this.button.addEventListener('click', () => this.toggle());
+    this.closeButton.addEventListener('click', () => this.close());
+
+    this.form.addEventListener('submit', (e) => {
+      e.preventDefault();
+      this.send();
+    });
+    this.input.addEventListener('keydown', (e) => {
+      // Enter sends, Shift+Enter starts a new line
+      if (e.key === 'Enter' && !e.shiftKey) {
+        e.preventDefault();
+        this.send();
+      } else if (e.key === 'Escape') {
+        this.close();
+      }
+    });
+
+    this.wsManager.onChatHistory = (messages) => this.setMessages(messages);
+    this.wsManager.onChatMessage = (message) => this.addMessage(message);
+  }
+
+  isOpen() {
+    return !this.panel.classList.contains('hidden');
+  }
+
+  open() {
+    this.panel.classList.remove('hidden');
+    this.button.classList.add('active');
+    this.setUnread(0);
+    this.scrollToEnd();
+    this.input.focus();
+  }
+
+  close() {
+    this.panel.classList.add('hidden');
+    this.button.classList.remove('active');
+    this.input.blur();
+  }
+
+  toggle() {
+    if (this.isOpen()) {
+      this.close();
+    } else {
+      this.open();
+    }
+  }
+
+  send() {
+    const text = this.input.value.trim();
+    if (!text) return;
+
+    this.wsManager.sendChatMessage(text).then(result => {
+      if (result.ok) {
+        this.input.value = '';
+      } else {
+        alert(result.error);
+      }
+    });
+  }
+
+  /**
+   * Replace the list with a room's recent messages, oldest first
+   */
+  setMessages(messages) {
+    this.list.innerHTML = '';
+    messages.slice(-MAX_CHAT_MESSAGES).forEach(message => {
+      this.list.appendChild(this.createMessage(message));
+    });
+
+    this.setUnread(0);
+    this.scrollToEnd();
+  }
+
+  /**
+   * Add a new message; the list only follows it if it was scrolled to the
+   * end (or the message is ours), so reading back isn't interrupted
+   */
+  addMessage(message) {
+    const own = message.userId === this.wsManager.userId;
+    const atEnd = this.list.scrollHeight - this.list.scrollTop - this.list.clientHeight < 20;
+
+    this.list.appendChild(this.createMessage(message));
+    while (this.list.children.length > MAX_CHAT_MESSAGES) {
+      this.list.firstChild.remove();
+    }
+
+    if (!own && !this.isOpen()) {
+      this.setUnread(this.unread + 1);
+    }
+    if (own || atEnd) {
+      this.scrollToEnd();
+    }
+  }
+
+  /**
+   * User text only ever goes in as textContent
+   */
+  createMessage(message) {
+    const item = document.createElement('li');
+    item.className = 'chat-message';
+    if (message.userId === this.wsManager.userId) {
+      item.classList.add('own');
+    }
+
+    const header = document.createElement('div');
+    header.className = 'chat-message-header';
+
+    const dot = document.createElement('span');
+    dot.className = 'user-color-dot';
+    dot.style.backgroundColor = message.color || '#999';
+
+    const name = document.createElement('span');
+    name.className = 'chat-message-name';
+    name.textContent = message.username;
+
+    const time = document.createElement('time');
+    time.className = 'chat-message-time';
+    time.dateTime = new Date(message.timestamp).toISOString();
+    time.textContent = new Date(message.timestamp).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+
+    header.append(dot, name, time);
+
+    const text = document.createElement('div');
+    text.className = 'chat-message-text';
+    text.textContent = message.text;
+
+    item.append(header, text);
+    return item;
+  }
+
+  setUnread(count) {
+    this.unread = count;
+    this.badge.textContent = count > 99 ? '99+' : String(count);
+    this.badge.classList.toggle('hidden', count === 0);
+  }
+
+  scrollToEnd() {
+    this.list.scrollTop = this.list.scrollHeight;
+  }
+}
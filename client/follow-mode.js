@@ -0,0 +1,145 @@
+/**
+ * Follow Mode
+ * Shares what this user sees with the room, and keeps the view on another
+ * user's: their visible area is fitted into the canvas whenever it moves.
+ * Panning or zooming yourself stops following. Presenters can bring
+ * everyone to their view, which makes the others follow them
+ */
+class FollowMode {
+  constructor(canvasManager, wsManager) {
+    this.canvasManager = canvasManager;
+    this.wsManager = wsManager;
+
+    this.summonButton = document.getElementById('summon-btn');
+    this.bar = document.getElementById('follow-bar');
+    this.barName = document.getElementById('follow-name');
+    this.stopButton = document.getElementById('follow-stop-btn');
+
+    // User whose view we follow, if any
+    this.following = null;
+
+    // The view we last set while following; a different one means the
+    // user moved it themselves
+    this.appliedView = null;
+
+    // Our viewport goes out at most this often while panning or zooming
+    this.sendDelay = 100;
+    this.sendTimer = null;
+
+    this.summonButton.addEventListener('click', () => this.summon());
+    this.stopButton.addEventListener('click', () => this.stop());
+
+    this.wsManager.onFollowClick = (userId) => {
+      if (userId === this.following) {
+        this.stop();
+      } else {
+        this.follow(userId);
+      }
+    };
+    this.wsManager.onViewportChange = (userId, viewport) => {
+      if (userId !== this.following) return;
+
+      // A null viewport means they left
+      if (viewport) {
+        this.applyViewport(viewport);
+      } else {
+        this.stop();
+      }
+    };
+    this.wsManager.onSummon = (data) => this.follow(data.userId);
+    this.wsManager.onUserUpdate = (user) => {
+      if (user.userId === this.following) {
+        this.showBar(user);
+      }
+    };
+  }
+
+  isFollowing() {
+    return this.following !== null;
+  }
+
+  /**
+   * Follow a user whose view is known
+   */
+  follow(userId) {
+    const viewport = this.wsManager.viewports[userId];
+    if (!viewport) return;
+
+    this.following = userId;
+    this.showBar(this.wsManager.getUserInfo(userId));
+    this.applyViewport(viewport);
+  }
+
+  /**
+   * Name the followed user, framed in their color
+   */
+  showBar({ username, color }) {
+    this.barName.textContent = `Following ${username}`;
+    this.bar.style.borderColor = color;
+    this.bar.classList.remove('hidden');
+  }
+
+  stop() {
+    if (!this.following) return;
+
+    this.following = null;
+    this.appliedView = null;
+    this.bar.classList.add('hidden');
+  }
+
+  /**
+   * Fit the followed user's visible area into ours. Canvases differ in
+   * shape, so we may see a little more than they do, never less
+   */
+  applyViewport(viewport) {
+    this.canvasManager.showArea(viewport);
+
+    const { zoom, panX, panY, viewWidth, viewHeight } = this.canvasManager;
+    this.appliedView = { zoom, panX, panY, viewWidth, viewHeight };
+  }
+
+  /**
+   * Called after every pan, zoom and resize
+   */
+  handleViewChange() {
+    if (this.following && this.appliedView) {
+      const { zoom, panX, panY, viewWidth, viewHeight } = this.canvasManager;
+      const view = this.appliedView;
+
+      if (zoom !== view.zoom || panX !== view.panX || panY !== view.panY) {
+        this.stop();
+      } else if (viewWidth !== view.viewWidth || viewHeight !== view.viewHeight) {
+        // The window was resized: fit their view into the new size
+        this.applyViewport(this.wsManager.viewports[this.following]);
+      }
+    }
+
+    this.scheduleSend();
+  }
+
+  /**
+   * Send our viewport at most every sendDelay ms; what goes out is the
+   * view at that moment, so the last change is never lost
+   */
+  scheduleSend() {
+    if (this.sendTimer) return;
+
+    this.sendTimer = setTimeout(() => {
+      this.sendTimer = null;
+      this.wsManager.sendViewport(this.canvasManager.getViewport());
+    }, this.sendDelay);
+  }
+
+  /**
+   * Bring everyone in the room to our view
+   */
+  summon() {
+    this.stop();
+
+    this.wsManager.sendSummon(this.canvasManager.getViewport()).then(result => {
+      if (!result.ok) {
+        alert(result.error);
+      }
+    });
+  }
+}
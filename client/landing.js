@@ -0,0 +1,82 @@
+/**
+ * Landing Page
+ * Creates new rooms, joins existing ones and lists active rooms
+ */
+
+const createRoomBtn = document.getElementById('create-room-btn');
+const createRoomPassword = document.getElementById('create-room-password');
+const joinRoomForm = document.getElementById('join-room-form');
+const joinRoomInput = document.getElementById('join-room-input');
+const activeRooms = document.getElementById('active-rooms');
+const noRooms = document.getElementById('no-rooms');
+
+// How often the active rooms list is refreshed
+const ROOM_REFRESH_INTERVAL = 5000;
+
+function openRoom(roomId) {
+  window.location.href = `/r/${encodeURIComponent(roomId)}`;
+}
+
+/**
+ * Generate a short random room id
+ */
+function generateRoomId() {
+  return Math.random().toString(36).substring(2, 10);
+}
+
+// The room page sends the password with its first join, which makes the
+// creator the owner of a protected room
+createRoomBtn.addEventListener('click', () => {
+  const roomId = generateRoomId();
+  const password = createRoomPassword.value;
+  if (password) {
+    sessionStorage.setItem(`room-password:${roomId}`, password);
+  }
+  openRoom(roomId);
+});
+
+joinRoomForm.addEventListener('submit', (e) => {
+  e.preventDefault();
+  const roomId = joinRoomInput.value.trim();
+  if (roomId) {
+    openRoom(roomId);
+  }
+});
+
+/**
+ * Fetch and render the rooms that currently have users
+ */
+async function refreshRooms() {
+  try {
+    const response = await fetch('/api/rooms');
+    const data = await response.json();
+    renderRooms(data.rooms || []);
+  } catch (error) {
+    console.error('Could not load active rooms:', error);
+  }
+}
+
+function renderRooms(rooms) {
+  activeRooms.innerHTML = '';
+  noRooms.classList.toggle('hidden', rooms.length > 0);
+  
+  rooms.forEach(room => {
+    const li = document.createElement('li');
+    li.className = 'room-item';
+    
+    const link = document.createElement('a');
+    link.href = `/r/${encodeURIComponent(room.roomId)}`;
+    link.textContent = room.roomId;
+    
+    const count = document.createElement('span');
+    count.className = 'room-user-count';
+    count.textContent = `${room.userCount} online`;
+    
+    li.appendChild(link);
+    li.appendChild(count);
+    activeRooms.appendChild(li);
+  });
+}
+
+refreshRooms();
+setInterval(refreshRooms, ROOM_REFRESH_INTERVAL);
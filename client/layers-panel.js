@@ -0,0 +1,194 @@
+/**
+ * Layers Panel
+ * Lists the room's layers top first and sends layer changes to the server
+ * The active layer is local: it is where this user's new content goes
+ */
+class LayersPanel {
+  constructor(canvasManager, wsManager) {
+    this.canvasManager = canvasManager;
+    this.wsManager = wsManager;
+    this.list = document.getElementById('layers-list');
+    this.addButton = document.getElementById('add-layer-btn');
+
+    this.addButton.addEventListener('click', () => this.createLayer());
+    this.wsManager.onLayersChange = () => this.render();
+
+    this.render();
+  }
+
+  get layers() {
+    return this.canvasManager.layers;
+  }
+
+  getActiveLayer() {
+    return this.canvasManager.getLayer(this.canvasManager.activeLayerId);
+  }
+
+  setActiveLayer(layerId) {
+    this.canvasManager.setActiveLayer(layerId);
+    this.render();
+  }
+
+  /**
+   * New content can only go on a visible, unlocked layer
+   */
+  canDraw() {
+    const layer = this.getActiveLayer();
+    return layer !== null && layer.visible && !layer.locked;
+  }
+
+  /**
+   * Draw attention to the active layer when drawing on it is blocked
+   */
+  flashActiveLayer() {
+    const item = this.list.querySelector('.layer-item.active');
+    if (!item) return;
+
+    item.classList.remove('blocked');
+    // Restart the animation
+    void item.offsetWidth;
+    item.classList.add('blocked');
+  }
+
+  createLayer() {
+    this.wsManager.sendCreateLayer().then(result => {
+      if (result.ok) {
+        this.setActiveLayer(result.layer.id);
+      } else {
+        alert(result.error);
+      }
+    });
+  }
+
+  toggleVisible(layer) {
+    this.wsManager.sendUpdateLayer(layer.id, { visible: !layer.visible });
+  }
+
+  toggleLocked(layer) {
+    this.wsManager.sendUpdateLayer(layer.id, { locked: !layer.locked });
+  }
+
+  /**
+   * Move a layer up (+1) or down (-1) in the stack
+   */
+  moveLayer(layer, direction) {
+    const index = this.layers.indexOf(layer) + direction;
+    if (index < 0 || index >= this.layers.length) return;
+
+    this.wsManager.sendMoveLayer(layer.id, index);
+  }
+
+  deleteLayer(layer) {
+    this.wsManager.sendDeleteLayer(layer.id).then(result => {
+      if (!result.ok) {
+        alert(result.error);
+      }
+    });
+  }
+
+  /**
+   * Swap the name for an input; Enter or leaving the field saves it
+   */
+  startRename(layer, nameEl) {
+    const input = document.createElement('input');
+    input.className = 'layer-name-input';
+    input.value = layer.name;
+    input.maxLength = 40;
+
+    let done = false;
+    const finish = (save) => {
+      if (done) return;
+      done = true;
+
+      const name = input.value.trim();
+      if (save && name && name !== layer.name) {
+        this.wsManager.sendUpdateLayer(layer.id, { name }).then(result => {
+          if (!result.ok) {
+            alert(result.error);
+          }
+        });
+      }
+      this.render();
+    };
+
+    input.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter') {
+        finish(true);
+      } else if (e.key === 'Escape') {
+        finish(false);
+      }
+    });
+    input.addEventListener('blur', () => finish(true));
+
+    nameEl.replaceWith(input);
+    input.focus();
+    input.select();
+  }
+
+  /**
+   * Rebuild the list, top layer first
+   */
+  render() {
+    // Keep a valid active layer when the one in use was deleted
+    if (!this.getActiveLayer()) {
+      this.canvasManager.setActiveLayer(this.layers[this.layers.length - 1].id);
+    }
+
+    this.list.innerHTML = '';
+
+    this.layers.slice().reverse().forEach(layer => {
+      const isActive = layer.id === this.canvasManager.activeLayerId;
+
+      const item = document.createElement('li');
+      item.className = 'layer-item';
+      item.classList.toggle('active', isActive);
+      item.classList.toggle('hidden-layer', !layer.visible);
+      item.addEventListener('click', () => this.setActiveLayer(layer.id));
+
+      const visibleBtn = this.createButton(
+        layer.visible ? '◉' : '○',
+        layer.visible ? 'Hide layer' : 'Show layer',
+        () => this.toggleVisible(layer)
+      );
+      const lockBtn = this.createButton(
+        layer.locked ? '🔒' : '🔓',
+        layer.locked ? 'Unlock layer' : 'Lock layer',
+        () => this.toggleLocked(layer)
+      );
+      lockBtn.classList.toggle('on', layer.locked);
+
+      const name = document.createElement('span');
+      name.className = 'layer-name';
+      name.textContent = layer.name;
+      name.title = 'Double-click to rename';
+      name.addEventListener('dblclick', (e) => {
+        e.stopPropagation();
+        this.startRename(layer, name);
+      });
+
+      item.append(
+        visibleBtn,
+        lockBtn,
+        name,
+        this.createButton('▲', 'Move up', () => this.moveLayer(layer, 1)),
+        this.createButton('▼', 'Move down', () => this.moveLayer(layer, -1)),
+        this.createButton('×', 'Delete layer (must be empty)', () => this.deleteLayer(layer))
+      );
+
+      this.list.appendChild(item);
+    });
+  }
+
+  createButton(label, title, onClick) {
+    const button = document.createElement('button');
+    button.className = 'layer-btn';
+    button.textContent = label;
+    button.title = title;
+    button.addEventListener('click', (e) => {
+      // Buttons don't change the active layer
+      e.stopPropagation();
+      onClick();
+    });
+    return button;
+  }
+}
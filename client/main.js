@@ -5,21 +5,85 @@
 
 // Initialize managers
 const canvas = document.getElementById('drawing-canvas');
-const canvasManager = new CanvasManager(canvas);
+const previewCanvas = document.getElementById('preview-canvas');
+const canvasManager = new CanvasManager(canvas, previewCanvas);
 const wsManager = new WebSocketManager(canvasManager);
+const textEditor = new TextEditor(canvasManager);
+const layersPanel = new LayersPanel(canvasManager, wsManager);
+const selectionTool = new SelectionTool(canvasManager, wsManager, getEditableOperations);
+const replay = new ReplayController(canvasManager, wsManager);
+const versionHistory = new VersionHistory(canvasManager, wsManager);
+const roomAccess = new RoomAccessPanel(wsManager);
+const chatPanel = new ChatPanel(wsManager);
+const followMode = new FollowMode(canvasManager, wsManager);
+const profileMenu = new ProfileMenu(wsManager);
+
+// Re-render from the operation list whenever the view (size, pan, zoom) changes
+canvasManager.onViewChange = () => {
+  canvasManager.redrawAll(wsManager.operations);
+  textEditor.reposition();
+  wsManager.refreshCursors();
+  updateZoomDisplay();
+  followMode.handleViewChange();
+};
 
 // Tool selection
+const selectTool = document.getElementById('select-tool');
 const brushTool = document.getElementById('brush-tool');
 const eraserTool = document.getElementById('eraser-tool');
+const objectEraserTool = document.getElementById('object-eraser-tool');
+const lineTool = document.getElementById('line-tool');
+const arrowTool = document.getElementById('arrow-tool');
+const rectangleTool = document.getElementById('rectangle-tool');
+const ellipseTool = document.getElementById('ellipse-tool');
+const textTool = document.getElementById('text-tool');
+const toolButtons = [selectTool, brushTool, eraserTool, objectEraserTool, lineTool, arrowTool, rectangleTool, ellipseTool, textTool];
 
 function setActiveTool(tool, activeButton) {
+  // Switching tools finishes any text being typed
+  textEditor.commit();
+  // The selection only lives while the select tool is in use
+  if (tool !== 'select') {
+    selectionTool.clear();
+  }
+  canvas.style.cursor = '';
   canvasManager.setTool(tool);
-  [brushTool, eraserTool].forEach(btn => btn.classList.remove('active'));
+  toolButtons.forEach(btn => btn.classList.remove('active'));
   activeButton.classList.add('active');
 }
 
+selectTool.addEventListener('click', () => setActiveTool('select', selectTool));
 brushTool.addEventListener('click', () => setActiveTool('brush', brushTool));
 eraserTool.addEventListener('click', () => setActiveTool('eraser', eraserTool));
+objectEraserTool.addEventListener('click', () => setActiveTool('object-eraser', objectEraserTool));
+lineTool.addEventListener('click', () => setActiveTool('line', lineTool));
+arrowTool.addEventListener('click', () => setActiveTool('arrow', arrowTool));
+rectangleTool.addEventListener('click', () => setActiveTool('rectangle', rectangleTool));
+ellipseTool.addEventListener('click', () => setActiveTool('ellipse', ellipseTool));
+textTool.addEventListener('click', () => setActiveTool('text', textTool));
+
+// Font size for text
+const fontSizeSelect = document.getElementById('font-size');
+
+fontSizeSelect.addEventListener('change', (e) => {
+  const size = parseInt(e.target.value);
+  canvasManager.setFontSize(size);
+  textEditor.setStyle({ fontSize: size });
+});
+
+// Shape fill
+const fillToggle = document.getElementById('fill-toggle');
+const fillColor = document.getElementById('fill-color');
+
+function updateFill() {
+  canvasManager.setFill(fillToggle.checked ? fillColor.value : null);
+}
+
+fillToggle.addEventListener('change', updateFill);
+fillColor.addEventListener('input', () => {
+  fillToggle.checked = true;
+  updateFill();
+});
 
 // Color presets
 const colorPresets = document.querySelectorAll('.color-preset');
@@ -37,6 +101,7 @@ let currentColor = '#000000';
 function setColor(color) {
   currentColor = color;
   canvasManager.setColor(color);
+  textEditor.setStyle({ color });
   // Update displays
   currentColorDisplay.style.background = color;
   colorPreview.style.background = color;
@@ -146,6 +211,20 @@ strokeWidth.addEventListener('input', (e) => {
   strokeWidthValue.textContent = width;
 });
 
+// Smoothing of new freehand strokes, and the stabilizer that makes them lag
+// the pointer for steadier lines
+const smoothingSelect = document.getElementById('smoothing');
+const stabilizerBtn = document.getElementById('stabilizer-btn');
+
+smoothingSelect.addEventListener('change', (e) => {
+  canvasManager.setSmoothing(parseInt(e.target.value));
+});
+
+stabilizerBtn.addEventListener('click', () => {
+  canvasManager.setStabilizer(!canvasManager.stabilizer);
+  stabilizerBtn.classList.toggle('active', canvasManager.stabilizer);
+});
+
 // Action buttons
 const undoBtn = document.getElementById('undo-btn');
 const redoBtn = document.getElementById('redo-btn');
@@ -165,103 +244,930 @@ clearBtn.addEventListener('click', () => {
   }
 });
 
+// Export
+const exportBtn = document.getElementById('export-btn');
+const exportDropdown = document.getElementById('export-dropdown');
+const exportBackground = document.getElementById('export-background');
+const exportScale = document.getElementById('export-scale');
+const exportPngBtn = document.getElementById('export-png-btn');
+const exportSvgBtn = document.getElementById('export-svg-btn');
+const exportJsonBtn = document.getElementById('export-json-btn');
+
+exportBtn.addEventListener('click', (e) => {
+  e.stopPropagation();
+  exportDropdown.classList.toggle('hidden');
+});
+
+// Close export menu when clicking outside
+document.addEventListener('click', (e) => {
+  if (!exportDropdown.contains(e.target) && e.target !== exportBtn) {
+    exportDropdown.classList.add('hidden');
+  }
+});
+
+function downloadURL(url, filename) {
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+}
+
+exportPngBtn.addEventListener('click', () => {
+  const background = exportBackground.value === 'white' ? '#ffffff' : null;
+  const scale = parseFloat(exportScale.value);
+  
+  canvasManager.exportPNG(wsManager.operations, { scale, background }).then(blob => {
+    if (!blob) {
+      alert('Nothing to export yet.');
+      return;
+    }
+    
+    const url = URL.createObjectURL(blob);
+    downloadURL(url, `${wsManager.roomId}.png`);
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  });
+  
+  exportDropdown.classList.add('hidden');
+});
+
+// SVG and JSON come from the server, built from the stored operation list.
+// The user key proves membership of rooms with a password; it goes in a
+// header so it never ends up in a URL
+async function downloadExport(format, query = '') {
+  const roomId = wsManager.roomId;
+  
+  try {
+    const response = await fetch(`/api/rooms/${encodeURIComponent(roomId)}/export?format=${format}${query}`, {
+      headers: { 'X-User-Key': wsManager.userKey }
+    });
+    if (!response.ok) {
+      const data = await response.json();
+      alert(data.error);
+      return;
+    }
+    
+    const url = URL.createObjectURL(await response.blob());
+    downloadURL(url, `${roomId}.${format}`);
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  } catch (error) {
+    console.error('Export failed:', error);
+    alert('Export failed, try again.');
+  }
+}
+
+exportSvgBtn.addEventListener('click', () => {
+  downloadExport('svg', `&background=${exportBackground.value}`);
+  exportDropdown.classList.add('hidden');
+});
+
+exportJsonBtn.addEventListener('click', () => {
+  downloadExport('json');
+  exportDropdown.classList.add('hidden');
+});
+
+// Replays and version previews show something other than the live board;
+// the room keeps going meanwhile, but editing is switched off. Viewers
+// can't edit at all
+const replayBtn = document.getElementById('replay-btn');
+const toolbar = document.querySelector('.toolbar');
+
+function isViewOnly() {
+  return replay.isActive() || versionHistory.isPreviewing() || !wsManager.canEdit();
+}
+
+function updateViewOnly() {
+  toolbar.classList.toggle('view-only', replay.isActive() || versionHistory.isPreviewing());
+  document.body.classList.toggle('read-only', !wsManager.canEdit());
+  replayBtn.classList.toggle('active', replay.isActive());
+}
+
+/**
+ * Finish whatever is being edited before the board is swapped out
+ */
+function enterViewOnly() {
+  textEditor.commit();
+  selectionTool.clear();
+  finishDrawing();
+}
+
+replay.onToggle = updateViewOnly;
+
+// Becoming a viewer ends whatever was being drawn or edited
+wsManager.onRoleChange = (role) => {
+  if (!wsManager.canEdit()) {
+    enterViewOnly();
+  }
+  roomAccess.setRole(role);
+  updateViewOnly();
+};
+updateViewOnly();
+
+versionHistory.onToggle = (active) => {
+  if (active) {
+    enterViewOnly();
+    replay.close();
+  }
+  updateViewOnly();
+};
+
+replayBtn.addEventListener('click', () => {
+  if (replay.isActive()) {
+    replay.close();
+    return;
+  }
+  
+  enterViewOnly();
+  versionHistory.closePreview();
+  replay.open();
+});
+
+// Import a previously exported JSON scene
+const importMode = document.getElementById('import-mode');
+const importJsonBtn = document.getElementById('import-json-btn');
+const importFile = document.getElementById('import-file');
+
+importJsonBtn.addEventListener('click', () => {
+  importFile.value = '';
+  importFile.click();
+});
+
+importFile.addEventListener('change', () => {
+  const file = importFile.files[0];
+  if (!file) return;
+  
+  exportDropdown.classList.add('hidden');
+  
+  file.text().then(text => {
+    let scene;
+    try {
+      scene = JSON.parse(text);
+    } catch (e) {
+      alert(`Could not import ${file.name}: not a JSON file`);
+      return;
+    }
+    
+    const mode = importMode.value;
+    if (mode === 'replace' && wsManager.operations.length > 0 &&
+        !confirm('Replace everything on the board with the imported scene? You can undo this.')) {
+      return;
+    }
+    
+    wsManager.sendImport(scene, mode, canvasManager.activeLayerId).then(result => {
+      if (!result.ok) {
+        alert(`Could not import ${file.name}: ${result.error}`);
+      }
+    });
+  });
+});
+
 // Canvas drawing events
 let isDrawing = false;
 let drawingThrottleTimer = null;
 
-canvas.addEventListener('mousedown', (e) => {
-  const coords = canvasManager.getCanvasCoordinates(e.clientX, e.clientY);
-  canvasManager.startDrawing(coords.x, coords.y);
+/**
+ * Start a stroke or shape; freehand strokes are streamed to the room live
+ * pressure (0-1) is only given for pens
+ */
+function beginDrawing(coords, pressure) {
+  if (!layersPanel.canDraw()) {
+    layersPanel.flashActiveLayer();
+    return;
+  }
+  
+  canvasManager.startDrawing(coords.x, coords.y, pressure);
   isDrawing = true;
+  
+  if (!canvasManager.isShapeTool(canvasManager.tool)) {
+    wsManager.beginStroke({
+      tool: canvasManager.tool,
+      color: canvasManager.color,
+      strokeWidth: canvasManager.strokeWidth,
+      smoothing: canvasManager.smoothing,
+      layerId: canvasManager.activeLayerId
+    }, canvasManager.currentPath[0]);
+  }
+}
+
+/**
+ * Operations that can be edited: on visible, unlocked layers
+ */
+function getEditableOperations() {
+  return wsManager.operations.filter(op => {
+    const layer = canvasManager.getOperationLayer(op);
+    return layer.visible && !layer.locked;
+  });
+}
+
+// Longest freehand stroke the server stores (matches the server)
+const MAX_STROKE_POINTS = 10000;
+
+function continueDrawing(coords, constrain, pressure) {
+  const segment = canvasManager.draw(coords.x, coords.y, constrain, pressure);
+  
+  // Freehand segments come back with the new point last
+  if (segment) {
+    wsManager.appendStroke(segment.points[segment.points.length - 1]);
+    
+    // Very long strokes carry on as a new stroke from the same point
+    if (canvasManager.currentPath.length >= MAX_STROKE_POINTS) {
+      finishDrawing();
+      beginDrawing(coords, pressure);
+    }
+  }
+}
+
+/**
+ * Finish the stroke or shape and commit it to the room
+ */
+function finishDrawing() {
+  if (!isDrawing) return;
+  isDrawing = false;
+  
+  const pathData = canvasManager.stopDrawing();
+  if (!pathData || pathData.points.length === 0) {
+    // Nothing to commit (e.g. a click without a drag on a shape tool)
+    return;
+  }
+  
+  if (canvasManager.isShapeTool(pathData.tool)) {
+    wsManager.sendDraw(pathData);
+  } else {
+    wsManager.endStroke(pathData);
+  }
+}
+
+/**
+ * Drop the stroke or shape being drawn without committing it
+ */
+function cancelDrawing() {
+  if (!isDrawing) return;
+  isDrawing = false;
+  
+  canvasManager.cancelDrawing();
+  wsManager.cancelStroke();
+}
+
+// Smallest stroke eraser reach on screen, in CSS pixels
+const OBJECT_ERASER_MIN_REACH = 4;
+
+let objectErase = null;
+
+/**
+ * Stroke eraser: remove whole operations on the active layer as the
+ * pointer passes over them. What one gesture erases is hidden while it
+ * lasts and sent on release as one removal, so it is one undo step
+ */
+function beginObjectErase(coords) {
+  if (!layersPanel.canDraw()) {
+    layersPanel.flashActiveLayer();
+    return;
+  }
+  
+  objectErase = { last: coords, erased: new Set() };
+  canvasManager.setErasedOperations(objectErase.erased);
+  eraseObjectsAlong(coords, coords);
+}
+
+function continueObjectErase(coords) {
+  eraseObjectsAlong(objectErase.last, coords);
+  objectErase.last = coords;
+}
+
+function finishObjectErase() {
+  if (!objectErase) return;
+  
+  // Someone else may have removed some of them meanwhile
+  const operationIds = Array.from(objectErase.erased).filter(id => wsManager.operationIndex[id]);
+  objectErase = null;
+  
+  if (operationIds.length === 0) {
+    canvasManager.setErasedOperations(new Set());
+    canvasManager.redrawAll(wsManager.operations);
+    return;
+  }
+  
+  // The removal is broadcast before the answer, so the operations are gone
+  // by then unless the server refused
+  wsManager.sendDeleteOperations(operationIds).then(result => {
+    if (!result.ok) {
+      wsManager.showNotification(result.error, 'error');
+    }
+    canvasManager.setErasedOperations(new Set());
+    canvasManager.redrawAll(wsManager.operations);
+  });
+}
+
+/**
+ * Remove what lies under the segment the pointer moved along; the stroke
+ * width sets how wide the eraser is
+ */
+function eraseObjectsAlong(from, to) {
+  const reach = Math.max(canvasManager.strokeWidth / 2, OBJECT_ERASER_MIN_REACH / canvasManager.scale);
+  const candidates = wsManager.operations.filter(op =>
+    op.tool !== 'eraser' &&
+    !objectErase.erased.has(op.id) &&
+    canvasManager.getOperationLayer(op).id === canvasManager.activeLayerId
+  );
+  
+  // Sample the segment so fast movements don't skip thin strokes
+  const steps = Math.ceil(Math.hypot(to.x - from.x, to.y - from.y) / reach);
+  let erasedAny = false;
+  
+  for (let i = 0; i <= steps; i++) {
+    const t = steps === 0 ? 1 : i / steps;
+    const x = from.x + (to.x - from.x) * t;
+    const y = from.y + (to.y - from.y) * t;
+    
+    candidates.forEach(op => {
+      if (objectErase.erased.has(op.id)) return;
+      
+      if (canvasManager.hitTestOperation(op, x, y, reach)) {
+        objectErase.erased.add(op.id);
+        erasedAny = true;
+      }
+    });
+  }
+  
+  if (erasedAny) {
+    canvasManager.redrawAll(wsManager.operations);
+  }
+}
+
+/**
+ * Open the text editor on an existing text operation
+ */
+function editText(operation) {
+  // Text moved or scaled with the selection tool opens where it is shown
+  const transform = operation.transform || IDENTITY_TRANSFORM;
+  const anchor = transformPoint(transform, operation.points[0]);
+  const scale = Math.sqrt(Math.abs(transform[0] * transform[3] - transform[1] * transform[2]));
+  
+  // Hide the stored text while the editor shows it
+  canvasManager.setHiddenOperation(operation.id);
+  canvasManager.redrawAll(wsManager.operations);
+  
+  textEditor.open({
+    x: anchor.x,
+    y: anchor.y,
+    text: operation.text,
+    fontSize: operation.fontSize,
+    color: operation.color,
+    scale: scale,
+    onCommit: (edited) => {
+      const changed = edited.text !== operation.text ||
+        edited.fontSize !== operation.fontSize ||
+        edited.color !== operation.color;
+      
+      // Sent as an update to the stored operation, not a new one
+      if (changed) {
+        wsManager.sendUpdateOperation(operation.id, edited);
+      }
+    },
+    onClose: () => {
+      canvasManager.setHiddenOperation(null);
+      canvasManager.redrawAll(wsManager.operations);
+    }
+  });
+}
+
+/**
+ * Text tool click: edit the text under the pointer or place new text
+ */
+function handleTextClick(coords) {
+  // A click while typing just finishes the current text
+  if (textEditor.isOpen()) {
+    textEditor.commit();
+    return;
+  }
+  
+  const existing = canvasManager.findTextAt(getEditableOperations(), coords.x, coords.y);
+  if (existing) {
+    editText(existing);
+    return;
+  }
+  
+  if (!layersPanel.canDraw()) {
+    layersPanel.flashActiveLayer();
+    return;
+  }
+  
+  textEditor.open({
+    x: coords.x,
+    y: coords.y,
+    fontSize: canvasManager.fontSize,
+    color: canvasManager.color,
+    onCommit: ({ text, fontSize, color }) => {
+      const textData = {
+        points: [coords],
+        tool: 'text',
+        text,
+        fontSize,
+        color,
+        layerId: canvasManager.activeLayerId
+      };
+      
+      canvasManager.drawOperation(textData);
+      wsManager.sendDraw(textData);
+    }
+  });
+}
+
+// Input comes in as Pointer Events, the same for mouse, pen and touch.
+// One pointer draws at a time; pens add pressure to every point. Two
+// fingers pan and pinch-zoom instead of drawing
+const penOnlyBtn = document.getElementById('pen-only-btn');
+
+// Pointers down on the canvas: pointerId -> { x, y, type } (client coordinates)
+const activePointers = new Map();
+
+// Pointer that is drawing, erasing or selecting
+let primaryPointerId = null;
+
+// Two-finger gesture in progress: { center, distance }. Fingers left over
+// from a gesture are ignored until they lift, so they don't start drawing
+let pinch = null;
+const ignoredPointers = new Set();
+
+// In pen-only mode fingers pan and zoom but never draw. It turns on the
+// first time a pen is used, unless it was switched off by hand
+let penOnly = false;
+let penOnlyChosen = false;
+
+function setPenOnly(enabled) {
+  penOnly = enabled;
+  penOnlyBtn.classList.toggle('active', enabled);
+}
+
+penOnlyBtn.addEventListener('click', () => {
+  penOnlyChosen = true;
+  setPenOnly(!penOnly);
 });
 
-canvas.addEventListener('mousemove', (e) => {
+/**
+ * Pressure (0-1) of a pen; mice and fingers have none
+ */
+function getPressure(e) {
+  return e.pointerType === 'pen' ? Math.max(0, Math.min(1, e.pressure)) : undefined;
+}
+
+function getTouchPointers() {
+  return [...activePointers.values()].filter(pointer => pointer.type === 'touch');
+}
+
+function isPenDown() {
+  return [...activePointers.values()].some(pointer => pointer.type === 'pen');
+}
+
+/**
+ * End what the primary pointer was doing; cancelled strokes (a pinch
+ * starting, the browser taking the pointer over) are not committed
+ */
+function releasePrimaryPointer(cancelled) {
+  primaryPointerId = null;
+  
+  if (cancelled) {
+    cancelDrawing();
+  } else {
+    finishDrawing();
+  }
+  finishObjectErase();
+  selectionTool.pointerUp();
+}
+
+function getPinchState() {
+  const [a, b] = getTouchPointers();
+  return {
+    center: { x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 },
+    distance: Math.hypot(a.x - b.x, a.y - b.y)
+  };
+}
+
+/**
+ * Second finger down: whatever the first one started becomes a pinch
+ */
+function startPinch() {
+  if (primaryPointerId !== null) {
+    releasePrimaryPointer(true);
+  }
+  if (isPanning) {
+    stopPanning();
+  }
+  
+  pinch = getPinchState();
+}
+
+/**
+ * Pan by how far the fingers' center moved and zoom by how much their
+ * distance changed, around that center
+ */
+function updatePinch() {
+  const next = getPinchState();
+  const rect = canvas.getBoundingClientRect();
+  
+  canvasManager.panBy(next.center.x - pinch.center.x, next.center.y - pinch.center.y);
+  if (pinch.distance > 0 && next.distance > 0) {
+    canvasManager.zoomAt(next.center.x - rect.left, next.center.y - rect.top, next.distance / pinch.distance);
+  }
+  
+  pinch = next;
+}
+
+canvas.addEventListener('pointerdown', (e) => {
+  activePointers.set(e.pointerId, { x: e.clientX, y: e.clientY, type: e.pointerType });
+  
+  if (e.pointerType === 'touch') {
+    // Palm rejection: fingers don't count while a pen is down
+    if (isPenDown() || pinch) {
+      ignoredPointers.add(e.pointerId);
+      return;
+    }
+    
+    if (getTouchPointers().length === 2) {
+      startPinch();
+      return;
+    }
+    
+    // A single finger pans in pen-only mode
+    if (penOnly) {
+      panPointerId = e.pointerId;
+      startPanning(e.clientX, e.clientY);
+      return;
+    }
+  }
+  
+  if (e.pointerType === 'pen') {
+    penOnlyBtn.classList.remove('hidden');
+    if (!penOnlyChosen) {
+      setPenOnly(true);
+    }
+    
+    // A palm that landed first gives way to the pen
+    const primary = activePointers.get(primaryPointerId);
+    if (primary && primary.type === 'touch') {
+      releasePrimaryPointer(true);
+    }
+  }
+  
+  // One pointer draws at a time
+  if (primaryPointerId !== null) return;
+  
+  // Middle button or Space+drag pans the view
+  if (e.button === 1 || (spaceHeld && e.button === 0)) {
+    e.preventDefault();
+    panPointerId = e.pointerId;
+    startPanning(e.clientX, e.clientY);
+    return;
+  }
+  
+  if (e.button !== 0 || isViewOnly()) return;
+  
+  const coords = canvasManager.getCanvasCoordinates(e.clientX, e.clientY);
+  
+  if (canvasManager.tool === 'text') {
+    // Keep focus in the editor that is about to open
+    e.preventDefault();
+    handleTextClick(coords);
+    return;
+  }
+  
+  primaryPointerId = e.pointerId;
+  
+  if (canvasManager.tool === 'select') {
+    selectionTool.pointerDown(coords, e.shiftKey, e.altKey);
+    return;
+  }
+  
+  if (canvasManager.tool === 'object-eraser') {
+    beginObjectErase(coords);
+    return;
+  }
+  
+  beginDrawing(coords, getPressure(e));
+});
+
+// Double-click on text re-edits it
+canvas.addEventListener('dblclick', (e) => {
+  if (isViewOnly()) return;
+  
+  const coords = canvasManager.getCanvasCoordinates(e.clientX, e.clientY);
+  const existing = canvasManager.findTextAt(getEditableOperations(), coords.x, coords.y);
+  
+  if (existing && !textEditor.isOpen()) {
+    editText(existing);
+  }
+});
+
+canvas.addEventListener('pointermove', (e) => {
+  const pointer = activePointers.get(e.pointerId);
+  if (pointer) {
+    pointer.x = e.clientX;
+    pointer.y = e.clientY;
+  }
+  
+  if (ignoredPointers.has(e.pointerId)) return;
+  
+  if (pinch) {
+    if (pointer && pointer.type === 'touch') {
+      updatePinch();
+    }
+    return;
+  }
+  
   const coords = canvasManager.getCanvasCoordinates(e.clientX, e.clientY);
   
-  // Send cursor position (throttled)
-  if (!drawingThrottleTimer) {
+  // Send cursor position (throttled); fingers only count while drawing
+  if (!drawingThrottleTimer && (e.pointerType !== 'touch' || e.pointerId === primaryPointerId)) {
     wsManager.sendCursorMove(coords.x, coords.y);
     drawingThrottleTimer = setTimeout(() => {
       drawingThrottleTimer = null;
     }, 50); // Update every 50ms
   }
   
+  // Hovering shows what the select tool would grab
+  if (canvasManager.tool === 'select' && (primaryPointerId === null || e.pointerId === primaryPointerId)) {
+    selectionTool.pointerMove(coords, e.shiftKey);
+    if (!isPanning && !spaceHeld) {
+      canvas.style.cursor = selectionTool.getCursor(coords);
+    }
+  }
+  
+  if (e.pointerId !== primaryPointerId) return;
+  
   if (isDrawing) {
-    const pathData = canvasManager.draw(coords.x, coords.y);
-    // We'll send complete path on mouseup for better performance
+    // Pens report more positions than there are events; use them all
+    const events = e.getCoalescedEvents ? e.getCoalescedEvents() : [];
+    (events.length > 0 ? events : [e]).forEach(event => {
+      const point = canvasManager.getCanvasCoordinates(event.clientX, event.clientY);
+      // Shift constrains shapes (square/circle/45°)
+      continueDrawing(point, e.shiftKey, getPressure(event));
+    });
+  }
+  
+  if (objectErase) {
+    continueObjectErase(coords);
   }
 });
 
-canvas.addEventListener('mouseup', (e) => {
-  if (isDrawing) {
-    const pathData = canvasManager.stopDrawing();
-    
-    // Send complete path to server
-    if (pathData && pathData.points.length > 0) {
-      wsManager.sendDraw(pathData);
-    }
-    
-    isDrawing = false;
+/**
+ * A pointer lifted, left the canvas or was taken over by the browser
+ */
+function handlePointerEnd(e) {
+  activePointers.delete(e.pointerId);
+  ignoredPointers.delete(e.pointerId);
+  
+  // The finger still down after a pinch doesn't start drawing
+  if (pinch && getTouchPointers().length < 2) {
+    pinch = null;
+    activePointers.forEach((pointer, pointerId) => {
+      if (pointer.type === 'touch') {
+        ignoredPointers.add(pointerId);
+      }
+    });
+  }
+  
+  if (e.pointerId === primaryPointerId) {
+    releasePrimaryPointer(e.type === 'pointercancel');
   }
+}
+
+canvas.addEventListener('pointerup', handlePointerEnd);
+canvas.addEventListener('pointercancel', handlePointerEnd);
+canvas.addEventListener('pointerleave', handlePointerEnd);
+
+// Room switching
+const roomForm = document.getElementById('room-form');
+const roomInput = document.getElementById('room-input');
+const copyLinkBtn = document.getElementById('copy-link-btn');
+
+function goToRoom(roomId) {
+  if (!/^[A-Za-z0-9_-]{1,64}$/.test(roomId) || roomId === wsManager.roomId) return;
+  
+  replay.close();
+  versionHistory.closePreview();
+  history.pushState({ roomId }, '', `/r/${roomId}`);
+  wsManager.switchRoom(roomId);
+}
+
+roomForm.addEventListener('submit', (e) => {
+  e.preventDefault();
+  goToRoom(roomInput.value.trim());
+  roomInput.value = '';
+  roomInput.blur();
 });
 
-canvas.addEventListener('mouseleave', (e) => {
-  if (isDrawing) {
-    const pathData = canvasManager.stopDrawing();
-    
-    // Send complete path to server
-    if (pathData && pathData.points.length > 0) {
-      wsManager.sendDraw(pathData);
-    }
-    
-    isDrawing = false;
-  }
+// Back/forward between rooms
+window.addEventListener('popstate', () => {
+  replay.close();
+  versionHistory.closePreview();
+  wsManager.switchRoom(wsManager.getRoomIdFromLocation());
 });
 
-// Touch support for mobile
-canvas.addEventListener('touchstart', (e) => {
-  e.preventDefault();
-  const touch = e.touches[0];
-  const coords = canvasManager.getCanvasCoordinates(touch.clientX, touch.clientY);
-  canvasManager.startDrawing(coords.x, coords.y);
-  isDrawing = true;
+copyLinkBtn.addEventListener('click', () => {
+  navigator.clipboard.writeText(window.location.href).then(() => {
+    copyLinkBtn.textContent = 'Copied!';
+    setTimeout(() => {
+      copyLinkBtn.textContent = 'Copy link';
+    }, 1500);
+  }).catch(() => {
+    prompt('Copy this link:', window.location.href);
+  });
 });
 
-canvas.addEventListener('touchmove', (e) => {
-  e.preventDefault();
-  if (isDrawing) {
-    const touch = e.touches[0];
-    const coords = canvasManager.getCanvasCoordinates(touch.clientX, touch.clientY);
-    canvasManager.draw(coords.x, coords.y);
+// Pan and zoom
+const zoomValue = document.getElementById('zoom-value');
+const zoomInBtn = document.getElementById('zoom-in-btn');
+const zoomOutBtn = document.getElementById('zoom-out-btn');
+const zoomResetBtn = document.getElementById('zoom-reset-btn');
+const zoomFitBtn = document.getElementById('zoom-fit-btn');
+
+// Zoom step for buttons and keyboard
+const ZOOM_STEP = 1.25;
+
+let spaceHeld = false;
+let isPanning = false;
+let lastPanPoint = null;
+
+// Mouse, pen or finger doing the panning
+let panPointerId = null;
+
+function updateZoomDisplay() {
+  zoomValue.textContent = `${canvasManager.getZoomPercent()}%`;
+}
+
+function startPanning(clientX, clientY) {
+  isPanning = true;
+  lastPanPoint = { x: clientX, y: clientY };
+  canvas.classList.add('panning');
+}
+
+function stopPanning() {
+  isPanning = false;
+  panPointerId = null;
+  lastPanPoint = null;
+  canvas.classList.remove('panning');
+}
+
+window.addEventListener('pointermove', (e) => {
+  if (!isPanning || e.pointerId !== panPointerId) return;
+  
+  canvasManager.panBy(e.clientX - lastPanPoint.x, e.clientY - lastPanPoint.y);
+  lastPanPoint = { x: e.clientX, y: e.clientY };
+});
+
+window.addEventListener('pointerup', (e) => {
+  if (isPanning && e.pointerId === panPointerId) {
+    stopPanning();
   }
 });
 
-canvas.addEventListener('touchend', (e) => {
+window.addEventListener('pointercancel', (e) => {
+  if (isPanning && e.pointerId === panPointerId) {
+    stopPanning();
+  }
+});
+
+// Wheel and trackpad pinch (reported as wheel + Ctrl) zoom around the pointer
+canvas.addEventListener('wheel', (e) => {
   e.preventDefault();
-  if (isDrawing) {
-    const pathData = canvasManager.stopDrawing();
-    
-    // Send complete path to server
-    if (pathData && pathData.points.length > 0) {
-      wsManager.sendDraw(pathData);
-    }
-    
-    isDrawing = false;
+  
+  const rect = canvas.getBoundingClientRect();
+  const sensitivity = e.ctrlKey ? 0.01 : 0.0015;
+  const factor = Math.exp(-e.deltaY * sensitivity);
+  
+  canvasManager.zoomAt(e.clientX - rect.left, e.clientY - rect.top, factor);
+}, { passive: false });
+
+zoomInBtn.addEventListener('click', () => canvasManager.zoomBy(ZOOM_STEP));
+zoomOutBtn.addEventListener('click', () => canvasManager.zoomBy(1 / ZOOM_STEP));
+zoomResetBtn.addEventListener('click', () => canvasManager.resetView());
+zoomFitBtn.addEventListener('click', () => canvasManager.fitToContent(wsManager.operations));
+
+updateZoomDisplay();
+
+document.addEventListener('keyup', (e) => {
+  if (e.code === 'Space') {
+    spaceHeld = false;
+    canvas.classList.remove('pan-ready');
   }
 });
 
+// Holding Ctrl+Z repeats the key about 30 times a second; undo and redo
+// go out at most every 100 ms, below the server's limit of 15 per second
+const HISTORY_REPEAT_DELAY = 100;
+let lastHistoryKeyTime = -Infinity;
+
+/**
+ * Whether an auto-repeated undo or redo key comes too soon to send
+ */
+function historyRepeatTooSoon(e) {
+  if (e.repeat && e.timeStamp - lastHistoryKeyTime < HISTORY_REPEAT_DELAY) return true;
+  
+  lastHistoryKeyTime = e.timeStamp;
+  return false;
+}
+
 // Keyboard shortcuts
 document.addEventListener('keydown', (e) => {
+  // Let text fields handle their own keys
+  if (e.target.matches('input, textarea')) return;
+  
+  // Escape stops following before anything else
+  if (e.key === 'Escape' && followMode.isFollowing()) {
+    followMode.stop();
+    return;
+  }
+  
+  // Replays, previews and viewers are view-only: pan and zoom keys work,
+  // Escape goes back to the live board
+  if (isViewOnly()) {
+    if (e.key === 'Escape') {
+      replay.close();
+      versionHistory.closePreview();
+      return;
+    }
+    
+    const viewKey = e.code === 'Space' || e.key === '!' ||
+      ((e.ctrlKey || e.metaKey) && ['0', '=', '+', '-'].includes(e.key));
+    if (!viewKey) return;
+  }
+  
   // Ctrl+Z or Cmd+Z for undo
   if ((e.ctrlKey || e.metaKey) && e.key === 'z' && !e.shiftKey) {
     e.preventDefault();
-    wsManager.sendUndo();
+    if (!historyRepeatTooSoon(e)) {
+      wsManager.sendUndo();
+    }
   }
   
   // Ctrl+Y or Cmd+Shift+Z for redo
   if ((e.ctrlKey || e.metaKey) && (e.key === 'y' || (e.shiftKey && e.key === 'z'))) {
     e.preventDefault();
-    wsManager.sendRedo();
+    if (!historyRepeatTooSoon(e)) {
+      wsManager.sendRedo();
+    }
+  }
+  
+  // Ctrl/Cmd + 0 resets the view, Ctrl/Cmd + +/- zoom
+  if ((e.ctrlKey || e.metaKey) && e.key === '0') {
+    e.preventDefault();
+    canvasManager.resetView();
+  }
+  
+  if ((e.ctrlKey || e.metaKey) && (e.key === '=' || e.key === '+')) {
+    e.preventDefault();
+    canvasManager.zoomBy(ZOOM_STEP);
+  }
+  
+  if ((e.ctrlKey || e.metaKey) && e.key === '-') {
+    e.preventDefault();
+    canvasManager.zoomBy(1 / ZOOM_STEP);
+  }
+  
+  // Selection: Delete/Backspace removes it, Ctrl/Cmd+D duplicates,
+  // Ctrl/Cmd+A selects everything editable, Escape deselects
+  if (canvasManager.tool === 'select') {
+    if (e.key === 'Delete' || e.key === 'Backspace') {
+      e.preventDefault();
+      selectionTool.deleteSelection();
+    }
+    
+    if ((e.ctrlKey || e.metaKey) && (e.key === 'd' || e.key === 'D')) {
+      e.preventDefault();
+      selectionTool.duplicateSelection();
+    }
+    
+    if ((e.ctrlKey || e.metaKey) && (e.key === 'a' || e.key === 'A')) {
+      e.preventDefault();
+      selectionTool.selectAll();
+    }
+    
+    if (e.key === 'Escape') {
+      selectionTool.clear();
+    }
+  }
+  
+  // Hold Space to pan with the mouse
+  if (e.code === 'Space') {
+    e.preventDefault();
+    spaceHeld = true;
+    canvas.style.cursor = '';
+    canvas.classList.add('pan-ready');
+    return;
+  }
+  
+  // Tool shortcuts are plain keys only
+  if (e.ctrlKey || e.metaKey || e.altKey) return;
+  
+  // Shift+1 fits the view to the drawing
+  if (e.key === '!') {
+    canvasManager.fitToContent(wsManager.operations);
+  }
+  
+  // V for select
+  if (e.key === 'v' || e.key === 'V') {
+    selectTool.click();
   }
   
   // B for brush
@@ -269,9 +1175,35 @@ document.addEventListener('keydown', (e) => {
     brushTool.click();
   }
   
-  // E for eraser
+  // E for eraser; again for the stroke eraser
   if (e.key === 'e' || e.key === 'E') {
-    eraserTool.click();
+    if (canvasManager.tool === 'eraser') {
+      objectEraserTool.click();
+    } else {
+      eraserTool.click();
+    }
+  }
+  
+  // L, A, R, O for shapes
+  if (e.key === 'l' || e.key === 'L') {
+    lineTool.click();
+  }
+  
+  if (e.key === 'a' || e.key === 'A') {
+    arrowTool.click();
+  }
+  
+  if (e.key === 'r' || e.key === 'R') {
+    rectangleTool.click();
+  }
+  
+  if (e.key === 'o' || e.key === 'O') {
+    ellipseTool.click();
+  }
+  
+  // T for text
+  if (e.key === 't' || e.key === 'T') {
+    textTool.click();
   }
 });
 
@@ -303,4 +1235,4 @@ function updateFPS() {
 requestAnimationFrame(updateFPS);
 
 console.log('Collaborative Canvas initialized');
-console.log('Keyboard shortcuts: Ctrl+Z (undo), Ctrl+Y (redo), B (brush), E (eraser)');
+console.log('Keyboard shortcuts: Ctrl+Z (undo), Ctrl+Y (redo), V (select), Delete (delete selection), Ctrl+D (duplicate), B (brush), E (eraser, twice for stroke eraser), L (line), A (arrow), R (rectangle), O (ellipse), T (text), Space+drag (pan), wheel (zoom), Ctrl+0 (reset view), Shift+1 (fit)');
@@ -0,0 +1,138 @@
+// Colors the server hands out (matches RoomManager's palette)
+const PROFILE_COLORS = [
+  '#FF6B6B', '#4ECDC4', '#45B7D1', '#FFA07A',
+  '#98D8C8', '#F7DC6F', '#BB8FCE', '#85C1E2',
+  '#F8B739', '#52B788', '#E63946', '#A8DADC'
+];
+
+/**
+ * Profile
+ * Menu behind the name in the header for changing the name and color
+ * everyone sees. Colors someone else in the room has are taken; the
+ * choice is remembered for the next rooms joined
+ */
+class ProfileMenu {
+  constructor(wsManager) {
+    this.wsManager = wsManager;
+
+    this.button = document.getElementById('profile-btn');
+    this.dropdown = document.getElementById('profile-dropdown');
+    this.nameInput = document.getElementById('profile-name');
+    this.colors = document.getElementById('profile-colors');
+    this.customColor = document.getElementById('profile-color');
+    this.saveButton = document.getElementById('profile-save-btn');
+
+    // Color picked in the open menu, #RRGGBB
+    this.selectedColor = null;
+
+    this.button.addEventListener('click', (e) => {
+      e.stopPropagation();
+      if (this.dropdown.classList.contains('hidden')) {
+        this.open();
+      } else {
+        this.close();
+      }
+    });
+    document.addEventListener('click', (e) => {
+      if (!this.dropdown.contains(e.target) && !this.button.contains(e.target)) {
+        this.close();
+      }
+    });
+
+    this.nameInput.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter') {
+        this.save();
+      } else if (e.key === 'Escape') {
+        this.close();
+      }
+    });
+    this.customColor.addEventListener('input', () => {
+      this.select(this.customColor.value.toUpperCase());
+    });
+    this.saveButton.addEventListener('click', () => this.save());
+  }
+
+  open() {
+    this.nameInput.value = this.wsManager.username || '';
+    this.renderColors();
+    this.select(this.wsManager.userColor || PROFILE_COLORS[0]);
+    this.dropdown.classList.remove('hidden');
+    this.nameInput.focus();
+    this.nameInput.select();
+  }
+
+  close() {
+    this.dropdown.classList.add('hidden');
+  }
+
+  select(color) {
+    this.selectedColor = color.toUpperCase();
+    this.customColor.value = this.selectedColor.toLowerCase();
+    this.colors.querySelectorAll('.profile-color').forEach(swatch => {
+      swatch.classList.toggle('active', swatch.dataset.color === this.selectedColor);
+    });
+  }
+
+  /**
+   * Colors of everyone else in the room (upper case) and who has them
+   */
+  getTakenColors() {
+    const taken = new Map();
+    document.querySelectorAll('#users-list .user-item').forEach(li => {
+      if (li.dataset.userId !== this.wsManager.userId && li.dataset.color) {
+        taken.set(li.dataset.color.toUpperCase(), li.querySelector('span').textContent);
+      }
+    });
+    return taken;
+  }
+
+  renderColors() {
+    const taken = this.getTakenColors();
+    this.colors.innerHTML = '';
+
+    PROFILE_COLORS.forEach(color => {
+      const swatch = document.createElement('button');
+      swatch.className = 'profile-color';
+      swatch.dataset.color = color;
+      swatch.style.backgroundColor = color;
+
+      if (taken.has(color)) {
+        swatch.disabled = true;
+        swatch.title = `${taken.get(color)} has this color`;
+      } else {
+        swatch.title = color;
+        swatch.addEventListener('click', () => this.select(color));
+      }
+
+      this.colors.appendChild(swatch);
+    });
+  }
+
+  /**
+   * Send what changed; the header and users list update once the server
+   * tells everyone
+   */
+  save() {
+    const profile = {};
+    const username = this.nameInput.value.trim();
+    if (username && username !== this.wsManager.username) {
+      profile.username = username;
+    }
+    if (this.selectedColor && this.selectedColor !== (this.wsManager.userColor || '').toUpperCase()) {
+      profile.color = this.selectedColor;
+    }
+
+    if (Object.keys(profile).length === 0) {
+      this.close();
+      return;
+    }
+
+    this.wsManager.updateProfile(profile).then(result => {
+      if (result.ok) {
+        this.close();
+      } else {
+        alert(result.error);
+      }
+    });
+  }
+}
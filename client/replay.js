@@ -0,0 +1,255 @@
+// Idle stretches longer than this (ms) are shortened so the replay keeps moving
+const REPLAY_MAX_GAP = 1000;
+
+/**
+ * Replay
+ * Time-lapse of how the board was built: operations appear in the order
+ * they were made, at their original pace with long pauses cut short.
+ * The replay draws from a copy of the room's operations taken when it
+ * opens, so the live room carries on untouched and shows again on close
+ */
+class ReplayController {
+  constructor(canvasManager, wsManager) {
+    this.canvasManager = canvasManager;
+    this.wsManager = wsManager;
+
+    this.bar = document.getElementById('replay-bar');
+    this.playButton = document.getElementById('replay-play-btn');
+    this.scrubber = document.getElementById('replay-scrubber');
+    this.timeLabel = document.getElementById('replay-time');
+    this.speedSelect = document.getElementById('replay-speed');
+    this.usersButton = document.getElementById('replay-users-btn');
+    this.usersList = document.getElementById('replay-users');
+    this.closeButton = document.getElementById('replay-close-btn');
+
+    this.active = false;
+    this.playing = false;
+    this.speed = 1;
+
+    // Operations in stacking order, and the same operations by replay time
+    this.operations = [];
+    this.timeline = [];
+    this.duration = 0;
+    this.position = 0;
+    this.shownCount = -1;
+    this.lastFrameTime = null;
+
+    // Authors whose operations are left out
+    this.hiddenUsers = new Set();
+
+    // Called with true when a replay opens and false when it closes
+    this.onToggle = null;
+
+    this.playButton.addEventListener('click', () => {
+      if (this.playing) {
+        this.pause();
+      } else {
+        this.play();
+      }
+    });
+    this.scrubber.addEventListener('input', () => this.seek(parseFloat(this.scrubber.value)));
+    this.speedSelect.addEventListener('change', () => {
+      this.speed = parseFloat(this.speedSelect.value);
+    });
+    this.closeButton.addEventListener('click', () => this.close());
+
+    this.usersButton.addEventListener('click', (e) => {
+      e.stopPropagation();
+      this.usersList.classList.toggle('hidden');
+    });
+    document.addEventListener('click', (e) => {
+      if (!this.usersList.contains(e.target) && e.target !== this.usersButton) {
+        this.usersList.classList.add('hidden');
+      }
+    });
+  }
+
+  isActive() {
+    return this.active;
+  }
+
+  /**
+   * Start a replay of the room as it is now, from an empty board
+   */
+  open() {
+    if (this.active) return;
+
+    this.operations = this.wsManager.operations.slice();
+    this.timeline = this.buildTimeline(this.operations);
+    this.duration = this.timeline.length > 0 ? this.timeline[this.timeline.length - 1].time : 0;
+    this.hiddenUsers.clear();
+    this.shownCount = -1;
+
+    this.active = true;
+    this.bar.classList.remove('hidden');
+    this.scrubber.max = this.duration;
+    this.renderUsers();
+
+    this.seek(0);
+    this.play();
+
+    if (this.onToggle) {
+      this.onToggle(true);
+    }
+  }
+
+  /**
+   * Leave the replay and show the live room again
+   */
+  close() {
+    if (!this.active) return;
+
+    this.pause();
+    this.active = false;
+    this.operations = [];
+    this.timeline = [];
+    this.bar.classList.add('hidden');
+    this.usersList.classList.add('hidden');
+
+    this.canvasManager.setReplayOperations(null);
+    this.canvasManager.redrawAll(this.wsManager.operations);
+
+    if (this.onToggle) {
+      this.onToggle(false);
+    }
+  }
+
+  /**
+   * Replay time (ms) of every operation, oldest first. The replay starts on
+   * an empty board, and pauses longer than REPLAY_MAX_GAP are shortened
+   */
+  buildTimeline(operations) {
+    const sorted = operations.slice().sort((a, b) => a.timestamp - b.timestamp);
+    let time = 0;
+    let previous = null;
+
+    return sorted.map(op => {
+      const gap = previous === null ? REPLAY_MAX_GAP : op.timestamp - previous;
+      time += Math.min(Math.max(gap, 0), REPLAY_MAX_GAP);
+      previous = op.timestamp;
+      return { op, time };
+    });
+  }
+
+  play() {
+    if (!this.active || this.playing) return;
+
+    // Playing at the end starts over
+    if (this.position >= this.duration) {
+      this.seek(0);
+    }
+
+    this.playing = true;
+    this.playButton.textContent = '❚❚';
+    this.playButton.title = 'Pause';
+    this.lastFrameTime = null;
+    requestAnimationFrame(now => this.tick(now));
+  }
+
+  pause() {
+    this.playing = false;
+    this.playButton.textContent = '▶';
+    this.playButton.title = 'Play';
+  }
+
+  tick(now) {
+    if (!this.playing) return;
+
+    if (this.lastFrameTime !== null) {
+      this.seek(this.position + (now - this.lastFrameTime) * this.speed);
+    }
+    this.lastFrameTime = now;
+
+    if (this.position >= this.duration) {
+      this.pause();
+      return;
+    }
+
+    requestAnimationFrame(next => this.tick(next));
+  }
+
+  seek(position) {
+    this.position = Math.max(0, Math.min(position, this.duration));
+    this.scrubber.value = this.position;
+    this.renderFrame();
+  }
+
+  /**
+   * Show the operations made by the current position; the board is only
+   * redrawn when that changes
+   */
+  renderFrame(force = false) {
+    let count = 0;
+    while (count < this.timeline.length && this.timeline[count].time <= this.position) {
+      count++;
+    }
+
+    if (count === this.shownCount && !force) return;
+    this.shownCount = count;
+
+    // Keep the stacking order of the room, not the order of creation
+    const made = new Set(this.timeline.slice(0, count).map(entry => entry.op.id));
+    const frame = this.operations.filter(op =>
+      made.has(op.id) && !this.hiddenUsers.has(this.getAuthor(op).key)
+    );
+
+    this.canvasManager.setReplayOperations(frame);
+    this.canvasManager.redrawAll(frame);
+
+    const latest = count > 0 ? this.timeline[count - 1].op : null;
+    this.timeLabel.textContent = latest
+      ? `${new Date(latest.timestamp).toLocaleString()} · ${count}/${this.timeline.length}`
+      : `Start · 0/${this.timeline.length}`;
+  }
+
+  /**
+   * Who made an operation. Older operations have no name stored, so they
+   * are told apart by connection, named like the server's default names
+   */
+  getAuthor(op) {
+    if (op.username) {
+      return { key: `name:${op.username}`, name: op.username };
+    }
+    return { key: `id:${op.userId}`, name: `User-${String(op.userId).substring(0, 5)}` };
+  }
+
+  /**
+   * One checkbox per author, in the order they first drew something
+   */
+  renderUsers() {
+    const authors = new Map();
+    this.timeline.forEach(({ op }) => {
+      const author = this.getAuthor(op);
+      if (!authors.has(author.key)) {
+        authors.set(author.key, { ...author, count: 0 });
+      }
+      authors.get(author.key).count++;
+    });
+
+    this.usersList.innerHTML = '';
+    this.usersButton.disabled = authors.size === 0;
+
+    authors.forEach(author => {
+      const label = document.createElement('label');
+      label.className = 'replay-user';
+
+      const checkbox = document.createElement('input');
+      checkbox.type = 'checkbox';
+      checkbox.checked = true;
+      checkbox.addEventListener('change', () => {
+        if (checkbox.checked) {
+          this.hiddenUsers.delete(author.key);
+        } else {
+          this.hiddenUsers.add(author.key);
+        }
+        this.renderFrame(true);
+      });
+
+      const name = document.createElement('span');
+      name.textContent = `${author.name} (${author.count})`;
+
+      label.append(checkbox, name);
+      this.usersList.appendChild(label);
+    });
+  }
+}
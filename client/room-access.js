@@ -0,0 +1,160 @@
+/**
+ * Room Access
+ * Owner-only menu to protect the room with a password, choose the role
+ * new users join with and hand out invite links for editors and viewers
+ */
+class RoomAccessPanel {
+  constructor(wsManager) {
+    this.wsManager = wsManager;
+
+    this.menu = document.getElementById('access-menu');
+    this.button = document.getElementById('access-btn');
+    this.dropdown = document.getElementById('access-dropdown');
+    this.status = document.getElementById('access-status');
+    this.passwordInput = document.getElementById('access-password');
+    this.setPasswordButton = document.getElementById('access-set-password-btn');
+    this.removePasswordButton = document.getElementById('access-remove-password-btn');
+    this.defaultRoleSelect = document.getElementById('access-default-role');
+    this.invites = document.getElementById('access-invites');
+
+    this.button.addEventListener('click', (e) => {
+      e.stopPropagation();
+      this.dropdown.classList.toggle('hidden');
+      if (!this.dropdown.classList.contains('hidden')) {
+        this.refresh();
+      }
+    });
+    document.addEventListener('click', (e) => {
+      if (!this.dropdown.contains(e.target) && e.target !== this.button) {
+        this.dropdown.classList.add('hidden');
+      }
+    });
+
+    this.setPasswordButton.addEventListener('click', () => this.setPassword());
+    this.passwordInput.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter') {
+        this.setPassword();
+      }
+    });
+    this.removePasswordButton.addEventListener('click', () => {
+      this.update({ password: null });
+    });
+    this.defaultRoleSelect.addEventListener('change', () => {
+      this.update({ defaultRole: this.defaultRoleSelect.value });
+    });
+  }
+
+  /**
+   * Only owners see the menu
+   */
+  setRole(role) {
+    this.menu.classList.toggle('hidden', role !== 'owner');
+    if (role !== 'owner') {
+      this.dropdown.classList.add('hidden');
+    }
+  }
+
+  refresh() {
+    this.wsManager.sendGetRoomAccess().then(result => this.handleResult(result));
+  }
+
+  setPassword() {
+    const password = this.passwordInput.value;
+    if (!password) return;
+
+    this.update({ password }).then(result => {
+      if (result.ok) {
+        this.passwordInput.value = '';
+      }
+    });
+  }
+
+  update(changes) {
+    return this.wsManager.sendUpdateRoomAccess(changes).then(result => this.handleResult(result));
+  }
+
+  handleResult(result) {
+    if (result.ok) {
+      this.render(result.access);
+    } else {
+      alert(result.error);
+    }
+    return result;
+  }
+
+  /**
+   * access: { hasPassword, defaultRole, invites: { editor, viewer } }
+   */
+  render(access) {
+    this.status.textContent = access.hasPassword
+      ? 'Protected: new users need the password or an invite link'
+      : 'Open: anyone with the room link can join';
+    this.passwordInput.placeholder = access.hasPassword ? 'New password' : 'Password';
+    this.removePasswordButton.classList.toggle('hidden', !access.hasPassword);
+    this.defaultRoleSelect.value = access.defaultRole;
+
+    this.invites.innerHTML = '';
+    ['editor', 'viewer'].forEach(role => {
+      this.invites.appendChild(this.createInviteRow(role, access.invites[role]));
+    });
+  }
+
+  /**
+   * One invite link per role; a new link replaces the old one
+   */
+  createInviteRow(role, token) {
+    const row = document.createElement('div');
+    row.className = 'export-row access-invite';
+
+    const label = document.createElement('span');
+    label.textContent = `${role[0].toUpperCase()}${role.slice(1)} link`;
+    row.appendChild(label);
+
+    if (token) {
+      row.append(
+        this.createButton('Copy', () => this.copy(this.getInviteURL(token))),
+        this.createButton('Revoke', () => this.updateInvite(role, true))
+      );
+    } else {
+      row.appendChild(this.createButton('Create', () => this.updateInvite(role, false)));
+    }
+
+    return row;
+  }
+
+  updateInvite(role, revoke) {
+    this.wsManager.sendUpdateInvite(role, revoke).then(result => {
+      this.handleResult(result);
+
+      if (result.ok && !revoke) {
+        this.copy(this.getInviteURL(result.access.invites[role]));
+      }
+    });
+  }
+
+  getInviteURL(token) {
+    return `${window.location.origin}/r/${encodeURIComponent(this.wsManager.roomId)}?invite=${encodeURIComponent(token)}`;
+  }
+
+  /**
+   * Copy a link, falling back to showing it where the clipboard is blocked
+   */
+  copy(text) {
+    if (navigator.clipboard) {
+      navigator.clipboard.writeText(text).catch(() => prompt('Copy this link:', text));
+    } else {
+      prompt('Copy this link:', text);
+    }
+  }
+
+  createButton(label, onClick) {
+    const button = document.createElement('button');
+    button.className = 'version-btn';
+    button.textContent = label;
+    button.addEventListener('click', (e) => {
+      e.stopPropagation();
+      onClick();
+    });
+    return button;
+  }
+}
@@ -0,0 +1,516 @@
+// Sizes on screen in CSS pixels, converted to world units when used
+const SELECTION_HANDLE_SIZE = 8;
+const SELECTION_PICK_DISTANCE = 6;
+const ROTATE_HANDLE_OFFSET = 24;
+
+// Copies are offset (world units) so they don't hide the originals
+const DUPLICATE_OFFSET = 20;
+
+// Shift snaps rotation to 15° steps
+const ROTATION_SNAP = Math.PI / 12;
+
+// Smallest scale factor while dragging a corner, so nothing collapses
+const MIN_SELECTION_SCALE = 0.01;
+
+const SELECTION_COLOR = '#667eea';
+
+/**
+ * Selection Tool
+ * Picks whole operations by click, rubber band (drag) or lasso (Alt+drag)
+ * and moves, scales, rotates, duplicates or deletes them.
+ *
+ * Transforms are previewed locally through CanvasManager's transform
+ * overrides and committed as one update of the operations' `transform`
+ * field, which the server records as a single undoable action
+ */
+class SelectionTool {
+  constructor(canvasManager, wsManager, getEditableOperations) {
+    this.canvasManager = canvasManager;
+    this.wsManager = wsManager;
+
+    // Operations that can be selected (visible, unlocked layers)
+    this.getEditableOperations = getEditableOperations;
+
+    this.selectedIds = new Set();
+    this.drag = null;
+    this.redrawPending = false;
+
+    this.canvasManager.onRenderOverlay = (ctx) => this.drawOverlay(ctx);
+  }
+
+  /**
+   * Selected operations that still exist and can be edited; others may
+   * delete them or lock their layer while they are selected
+   */
+  getSelectedOperations() {
+    if (this.selectedIds.size === 0) return [];
+    return this.getEditableOperations().filter(op => this.selectedIds.has(op.id));
+  }
+
+  hasSelection() {
+    return this.getSelectedOperations().length > 0;
+  }
+
+  isDragging() {
+    return this.drag !== null;
+  }
+
+  select(operationIds) {
+    this.selectedIds = new Set(operationIds);
+    this.canvasManager.renderOverlay();
+  }
+
+  selectAll() {
+    this.select(this.getEditableOperations()
+      .filter(op => op.tool !== 'eraser')
+      .map(op => op.id));
+  }
+
+  clear() {
+    if (this.drag) {
+      this.cancelDrag();
+    }
+    if (this.selectedIds.size === 0) return;
+
+    this.selectedIds.clear();
+    this.canvasManager.renderOverlay();
+  }
+
+  /**
+   * Corner and rotate handles of the selection box, in world coordinates
+   */
+  getHandles(bounds) {
+    const { minX, minY, maxX, maxY } = bounds;
+
+    return {
+      corners: [
+        { x: minX, y: minY, anchor: { x: maxX, y: maxY }, cursor: 'nwse-resize' },
+        { x: maxX, y: minY, anchor: { x: minX, y: maxY }, cursor: 'nesw-resize' },
+        { x: maxX, y: maxY, anchor: { x: minX, y: minY }, cursor: 'nwse-resize' },
+        { x: minX, y: maxY, anchor: { x: maxX, y: minY }, cursor: 'nesw-resize' }
+      ],
+      rotate: {
+        x: (minX + maxX) / 2,
+        y: minY - ROTATE_HANDLE_OFFSET / this.canvasManager.scale
+      }
+    };
+  }
+
+  /**
+   * What is under the pointer: a handle, the selection, an operation or nothing
+   */
+  pick(coords) {
+    const reach = SELECTION_PICK_DISTANCE / this.canvasManager.scale;
+    const selected = this.getSelectedOperations();
+
+    if (selected.length > 0) {
+      const bounds = this.canvasManager.getContentBounds(selected);
+      const handles = this.getHandles(bounds);
+      const near = point => Math.hypot(coords.x - point.x, coords.y - point.y) <= reach * 1.5;
+
+      if (near(handles.rotate)) {
+        return { type: 'rotate', bounds };
+      }
+
+      const corner = handles.corners.find(near);
+      if (corner) {
+        return { type: 'scale', bounds, corner };
+      }
+    }
+
+    const hit = this.canvasManager.findOperationAt(
+      this.getEditableOperations(), coords.x, coords.y, reach
+    );
+    if (hit) {
+      return { type: 'operation', operation: hit };
+    }
+
+    if (selected.length > 0) {
+      const bounds = this.canvasManager.getContentBounds(selected);
+      if (coords.x >= bounds.minX && coords.x <= bounds.maxX &&
+          coords.y >= bounds.minY && coords.y <= bounds.maxY) {
+        return { type: 'selection' };
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * CSS cursor for the pointer position
+   */
+  getCursor(coords) {
+    if (this.drag) {
+      if (this.drag.mode === 'move') return 'move';
+      if (this.drag.mode === 'rotate') return 'grabbing';
+      if (this.drag.mode === 'scale') return this.drag.cursor;
+      return 'crosshair';
+    }
+
+    const target = this.pick(coords);
+    if (!target) return 'default';
+    if (target.type === 'rotate') return 'grab';
+    if (target.type === 'scale') return target.corner.cursor;
+    return 'move';
+  }
+
+  /**
+   * Shift adds to or removes from the selection, Alt draws a lasso
+   */
+  pointerDown(coords, shiftKey, altKey) {
+    const target = shiftKey ? null : this.pick(coords);
+
+    if (target && target.type === 'rotate') {
+      this.startDrag('rotate', coords, {
+        center: {
+          x: (target.bounds.minX + target.bounds.maxX) / 2,
+          y: (target.bounds.minY + target.bounds.maxY) / 2
+        }
+      });
+      return;
+    }
+
+    if (target && target.type === 'scale') {
+      this.startDrag('scale', coords, {
+        anchor: target.corner.anchor,
+        cursor: target.corner.cursor
+      });
+      return;
+    }
+
+    if (target && target.type === 'operation') {
+      if (!this.selectedIds.has(target.operation.id)) {
+        this.select([target.operation.id]);
+      }
+      this.startDrag('move', coords);
+      return;
+    }
+
+    if (target && target.type === 'selection') {
+      this.startDrag('move', coords);
+      return;
+    }
+
+    if (shiftKey) {
+      const reach = SELECTION_PICK_DISTANCE / this.canvasManager.scale;
+      const hit = this.canvasManager.findOperationAt(
+        this.getEditableOperations(), coords.x, coords.y, reach
+      );
+
+      if (hit) {
+        if (this.selectedIds.has(hit.id)) {
+          this.selectedIds.delete(hit.id);
+        } else {
+          this.selectedIds.add(hit.id);
+        }
+        this.canvasManager.renderOverlay();
+        return;
+      }
+    } else {
+      this.selectedIds.clear();
+    }
+
+    // Empty space: rubber band, or lasso with Alt
+    this.drag = {
+      mode: altKey ? 'lasso' : 'marquee',
+      start: coords,
+      current: coords,
+      points: [coords]
+    };
+    this.canvasManager.renderOverlay();
+  }
+
+  startDrag(mode, coords, extra = {}) {
+    const operations = this.getSelectedOperations();
+
+    this.drag = {
+      mode: mode,
+      start: coords,
+      operations: operations,
+      delta: IDENTITY_TRANSFORM,
+      ...extra
+    };
+  }
+
+  /**
+   * Shift keeps proportions while scaling and snaps rotation
+   */
+  pointerMove(coords, shiftKey) {
+    const drag = this.drag;
+    if (!drag) return;
+
+    if (drag.mode === 'marquee' || drag.mode === 'lasso') {
+      drag.current = coords;
+      drag.points.push(coords);
+      this.canvasManager.renderOverlay();
+      return;
+    }
+
+    if (drag.mode === 'move') {
+      drag.delta = [1, 0, 0, 1, coords.x - drag.start.x, coords.y - drag.start.y];
+    } else if (drag.mode === 'scale') {
+      drag.delta = this.getScaleDelta(drag, coords, shiftKey);
+    } else if (drag.mode === 'rotate') {
+      drag.delta = this.getRotateDelta(drag, coords, shiftKey);
+    }
+
+    // Preview: every selected operation gets the drag on top of its transform
+    const overrides = new Map();
+    drag.operations.forEach(op => {
+      overrides.set(op.id, multiplyTransforms(drag.delta, op.transform || IDENTITY_TRANSFORM));
+    });
+    this.canvasManager.setTransformOverrides(overrides);
+    this.requestRedraw();
+  }
+
+  /**
+   * Scale around the corner opposite the dragged one
+   */
+  getScaleDelta(drag, coords, keepProportions) {
+    const { anchor, start } = drag;
+
+    const factor = (to, from, origin) => {
+      const span = from - origin;
+      return Math.abs(span) < 1e-6 ? 1 : (to - origin) / span;
+    };
+    const limit = value => Math.sign(value || 1) * Math.max(MIN_SELECTION_SCALE, Math.abs(value));
+
+    let sx = limit(factor(coords.x, start.x, anchor.x));
+    let sy = limit(factor(coords.y, start.y, anchor.y));
+
+    if (keepProportions) {
+      const size = Math.max(Math.abs(sx), Math.abs(sy));
+      sx = Math.sign(sx) * size;
+      sy = Math.sign(sy) * size;
+    }
+
+    return [sx, 0, 0, sy, anchor.x - sx * anchor.x, anchor.y - sy * anchor.y];
+  }
+
+  /**
+   * Rotate around the middle of the selection box
+   */
+  getRotateDelta(drag, coords, snap) {
+    const { center, start } = drag;
+
+    let angle = Math.atan2(coords.y - center.y, coords.x - center.x) -
+      Math.atan2(start.y - center.y, start.x - center.x);
+
+    if (snap) {
+      angle = Math.round(angle / ROTATION_SNAP) * ROTATION_SNAP;
+    }
+
+    const cos = Math.cos(angle);
+    const sin = Math.sin(angle);
+
+    return [
+      cos, sin, -sin, cos,
+      center.x - cos * center.x + sin * center.y,
+      center.y - sin * center.x - cos * center.y
+    ];
+  }
+
+  pointerUp() {
+    const drag = this.drag;
+    if (!drag) return;
+    this.drag = null;
+
+    if (drag.mode === 'marquee' || drag.mode === 'lasso') {
+      this.finishAreaSelection(drag);
+      return;
+    }
+
+    this.commitTransform(drag);
+  }
+
+  /**
+   * Drop an unfinished drag without changing anything
+   */
+  cancelDrag() {
+    this.drag = null;
+    this.canvasManager.setTransformOverrides(new Map());
+    this.canvasManager.redrawAll(this.wsManager.operations);
+  }
+
+  /**
+   * Select what the rubber band fully contains, or what lies inside the lasso
+   */
+  finishAreaSelection(drag) {
+    const candidates = this.getEditableOperations().filter(op => op.tool !== 'eraser');
+    let picked;
+
+    if (drag.mode === 'marquee') {
+      const minX = Math.min(drag.start.x, drag.current.x);
+      const maxX = Math.max(drag.start.x, drag.current.x);
+      const minY = Math.min(drag.start.y, drag.current.y);
+      const maxY = Math.max(drag.start.y, drag.current.y);
+
+      picked = candidates.filter(op => {
+        const box = this.canvasManager.getOperationBounds(op);
+        return box && box.minX >= minX && box.maxX <= maxX &&
+          box.minY >= minY && box.maxY <= maxY;
+      });
+    } else {
+      picked = drag.points.length < 3 ? [] : candidates.filter(op =>
+        this.canvasManager.getOperationOutline(op)
+          .every(point => isPointInPolygon(point, drag.points))
+      );
+    }
+
+    picked.forEach(op => this.selectedIds.add(op.id));
+    this.canvasManager.renderOverlay();
+  }
+
+  /**
+   * Send the dragged transform as one update of all selected operations
+   */
+  commitTransform(drag) {
+    const overrides = this.canvasManager.transformOverrides;
+    this.canvasManager.setTransformOverrides(new Map());
+
+    const unchanged = drag.delta.every((value, i) => value === IDENTITY_TRANSFORM[i]);
+    if (unchanged || drag.operations.length === 0) {
+      this.canvasManager.redrawAll(this.wsManager.operations);
+      return;
+    }
+
+    const before = drag.operations;
+    const after = before.map(op => ({ ...op, transform: overrides.get(op.id) }));
+
+    // Show the result right away; the server's broadcast confirms it
+    this.wsManager.applyChanges(after.map(operation => ({ type: 'update', operation })));
+
+    this.wsManager.sendUpdateOperations(after.map(op => ({
+      operationId: op.id,
+      changes: { transform: op.transform }
+    }))).then(result => {
+      if (!result.ok) {
+        // Put them back where they were
+        this.wsManager.applyChanges(before.map(operation => ({ type: 'update', operation })));
+        this.wsManager.showNotification(result.error, 'error');
+      }
+    });
+  }
+
+  deleteSelection() {
+    const operationIds = this.getSelectedOperations().map(op => op.id);
+    if (operationIds.length === 0) return;
+
+    this.clear();
+    this.wsManager.sendDeleteOperations(operationIds).then(result => {
+      if (!result.ok) {
+        this.wsManager.showNotification(result.error, 'error');
+      }
+    });
+  }
+
+  /**
+   * Copy the selection slightly offset and select the copies
+   */
+  duplicateSelection() {
+    const operationIds = this.getSelectedOperations().map(op => op.id);
+    if (operationIds.length === 0) return;
+
+    const offset = { x: DUPLICATE_OFFSET, y: DUPLICATE_OFFSET };
+    this.wsManager.sendDuplicateOperations(operationIds, offset).then(result => {
+      if (result.ok) {
+        this.select(result.operationIds);
+      } else {
+        this.wsManager.showNotification(result.error, 'error');
+      }
+    });
+  }
+
+  /**
+   * Redraw the preview at most once per animation frame
+   */
+  requestRedraw() {
+    if (this.redrawPending) return;
+    this.redrawPending = true;
+
+    requestAnimationFrame(() => {
+      this.redrawPending = false;
+      this.canvasManager.redrawAll(this.wsManager.operations);
+    });
+  }
+
+  /**
+   * Draw the rubber band or lasso, and the selection box with its handles
+   */
+  drawOverlay(ctx) {
+    const pixel = 1 / this.canvasManager.scale;
+
+    ctx.save();
+    ctx.globalCompositeOperation = 'source-over';
+    ctx.strokeStyle = SELECTION_COLOR;
+    ctx.lineWidth = pixel;
+
+    if (this.drag && this.drag.mode === 'marquee') {
+      const { start, current } = this.drag;
+      ctx.setLineDash([4 * pixel, 3 * pixel]);
+      ctx.fillStyle = 'rgba(102, 126, 234, 0.08)';
+      ctx.fillRect(start.x, start.y, current.x - start.x, current.y - start.y);
+      ctx.strokeRect(start.x, start.y, current.x - start.x, current.y - start.y);
+    } else if (this.drag && this.drag.mode === 'lasso') {
+      ctx.setLineDash([4 * pixel, 3 * pixel]);
+      ctx.beginPath();
+      this.drag.points.forEach((point, i) => {
+        if (i === 0) {
+          ctx.moveTo(point.x, point.y);
+        } else {
+          ctx.lineTo(point.x, point.y);
+        }
+      });
+      ctx.stroke();
+    }
+
+    const selected = this.getSelectedOperations();
+    if (selected.length > 0) {
+      const bounds = this.canvasManager.getContentBounds(selected);
+      const handles = this.getHandles(bounds);
+      const size = SELECTION_HANDLE_SIZE * pixel;
+
+      ctx.setLineDash([4 * pixel, 3 * pixel]);
+      ctx.strokeRect(bounds.minX, bounds.minY, bounds.maxX - bounds.minX, bounds.maxY - bounds.minY);
+      ctx.setLineDash([]);
+
+      // Stem and knob of the rotate handle
+      ctx.beginPath();
+      ctx.moveTo(handles.rotate.x, bounds.minY);
+      ctx.lineTo(handles.rotate.x, handles.rotate.y);
+      ctx.stroke();
+
+      ctx.fillStyle = 'white';
+      ctx.beginPath();
+      ctx.arc(handles.rotate.x, handles.rotate.y, size / 2, 0, Math.PI * 2);
+      ctx.fill();
+      ctx.stroke();
+
+      handles.corners.forEach(corner => {
+        ctx.fillRect(corner.x - size / 2, corner.y - size / 2, size, size);
+        ctx.strokeRect(corner.x - size / 2, corner.y - size / 2, size, size);
+      });
+    }
+
+    ctx.restore();
+  }
+}
+
+/**
+ * Ray casting test for a point inside a polygon
+ */
+function isPointInPolygon(point, polygon) {
+  let inside = false;
+
+  for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+    const a = polygon[i];
+    const b = polygon[j];
+
+    if ((a.y > point.y) !== (b.y > point.y) &&
+        point.x < (b.x - a.x) * (point.y - a.y) / (b.y - a.y) + a.x) {
+      inside = !inside;
+    }
+  }
+
+  return inside;
+}
@@ -0,0 +1,147 @@
+/**
+ * Text Editor
+ * In-place textarea for placing new text and re-editing text operations
+ */
+class TextEditor {
+  constructor(canvasManager) {
+    this.canvasManager = canvasManager;
+    this.container = canvasManager.canvas.parentElement;
+    this.textarea = null;
+
+    // What is being edited and what to do when done
+    this.anchor = null;
+    this.style = null;
+    this.textScale = 1;
+    this.onCommit = null;
+    this.onClose = null;
+  }
+
+  isOpen() {
+    return this.textarea !== null;
+  }
+
+  /**
+   * Open the editor at a canvas position
+   * options: { x, y, text, fontSize, color, scale, onCommit, onClose }
+   * scale enlarges the editor for text that was scaled with the selection tool
+   * onCommit receives { text, fontSize, color } when the text is non-empty
+   */
+  open(options) {
+    this.close();
+
+    this.anchor = { x: options.x, y: options.y };
+    this.style = { fontSize: options.fontSize, color: options.color };
+    this.textScale = options.scale || 1;
+    this.onCommit = options.onCommit;
+    this.onClose = options.onClose || null;
+
+    const textarea = document.createElement('textarea');
+    textarea.className = 'text-editor';
+    textarea.value = options.text || '';
+    textarea.spellcheck = false;
+
+    textarea.addEventListener('input', () => this.resize());
+    textarea.addEventListener('keydown', (e) => {
+      // Enter commits, Shift+Enter adds a line, Escape cancels
+      if (e.key === 'Enter' && !e.shiftKey) {
+        e.preventDefault();
+        this.commit();
+      } else if (e.key === 'Escape') {
+        e.preventDefault();
+        this.close();
+      }
+    });
+
+    this.textarea = textarea;
+    this.container.appendChild(textarea);
+    this.applyStyle();
+
+    textarea.focus();
+    textarea.select();
+  }
+
+  /**
+   * Change font size and/or color of the text being edited
+   */
+  setStyle(style) {
+    if (!this.isOpen()) return;
+
+    Object.assign(this.style, style);
+    this.applyStyle();
+    this.textarea.focus();
+  }
+
+  /**
+   * Match the textarea to the text as it renders at the current scale
+   */
+  applyStyle() {
+    const scale = this.canvasManager.scale * this.textScale;
+    const position = this.canvasManager.toScreen(this.anchor.x, this.anchor.y);
+
+    this.textarea.style.left = `${position.x}px`;
+    this.textarea.style.top = `${position.y}px`;
+    this.textarea.style.font = this.canvasManager.getFont(this.style.fontSize * scale);
+    this.textarea.style.lineHeight = TEXT_LINE_HEIGHT;
+    this.textarea.style.color = this.style.color;
+    this.resize();
+  }
+
+  /**
+   * Grow the textarea to fit its content
+   */
+  resize() {
+    const scale = this.canvasManager.scale * this.textScale;
+    const text = this.textarea.value || ' ';
+    const bounds = this.canvasManager.getTextBounds({
+      points: [this.anchor],
+      text: text,
+      fontSize: this.style.fontSize
+    });
+
+    this.textarea.style.width = `${Math.ceil((bounds.width + this.style.fontSize) * scale)}px`;
+    this.textarea.style.height = `${Math.ceil(bounds.height * scale)}px`;
+  }
+
+  /**
+   * Re-position after the canvas scale changed
+   */
+  reposition() {
+    if (this.isOpen()) {
+      this.applyStyle();
+    }
+  }
+
+  /**
+   * Finish editing; empty text is discarded
+   */
+  commit() {
+    if (!this.isOpen()) return;
+
+    const text = this.textarea.value.replace(/\s+$/, '');
+    const onCommit = this.onCommit;
+    const style = { ...this.style };
+
+    this.close();
+
+    if (text.trim().length > 0 && onCommit) {
+      onCommit({ text, fontSize: style.fontSize, color: style.color });
+    }
+  }
+
+  /**
+   * Close without committing
+   */
+  close() {
+    if (!this.isOpen()) return;
+
+    this.textarea.remove();
+    this.textarea = null;
+    this.onCommit = null;
+
+    const onClose = this.onClose;
+    this.onClose = null;
+    if (onClose) {
+      onClose();
+    }
+  }
+}
@@ -0,0 +1,208 @@
+/**
+ * Version History
+ * Saves named versions of the board, lists them (including the ones the
+ * server saves before a clear and periodically), previews a version in
+ * place of the live board and restores it for everyone
+ */
+class VersionHistory {
+  constructor(canvasManager, wsManager) {
+    this.canvasManager = canvasManager;
+    this.wsManager = wsManager;
+
+    this.button = document.getElementById('history-btn');
+    this.dropdown = document.getElementById('history-dropdown');
+    this.nameInput = document.getElementById('version-name');
+    this.saveButton = document.getElementById('save-version-btn');
+    this.list = document.getElementById('version-list');
+    this.previewBar = document.getElementById('version-preview-bar');
+    this.previewName = document.getElementById('version-preview-name');
+    this.restoreButton = document.getElementById('version-restore-btn');
+    this.backButton = document.getElementById('version-back-btn');
+
+    // Newest first, as sent by the server
+    this.versions = [];
+
+    // Version shown instead of the live board, if any
+    this.previewing = null;
+
+    // Called with true when a preview opens and false when it closes
+    this.onToggle = null;
+
+    this.button.addEventListener('click', (e) => {
+      e.stopPropagation();
+      this.dropdown.classList.toggle('hidden');
+      if (!this.dropdown.classList.contains('hidden')) {
+        this.refresh();
+        this.nameInput.focus();
+      }
+    });
+    document.addEventListener('click', (e) => {
+      if (!this.dropdown.contains(e.target) && e.target !== this.button) {
+        this.dropdown.classList.add('hidden');
+      }
+    });
+
+    this.saveButton.addEventListener('click', () => this.save());
+    this.nameInput.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter') {
+        this.save();
+      }
+    });
+    this.restoreButton.addEventListener('click', () => this.restore(this.previewing));
+    this.backButton.addEventListener('click', () => this.closePreview());
+
+    this.wsManager.onVersionsChange = (versions) => {
+      this.versions = versions;
+      this.render();
+    };
+  }
+
+  isPreviewing() {
+    return this.previewing !== null;
+  }
+
+  refresh() {
+    this.wsManager.sendListVersions().then(result => {
+      if (result.ok) {
+        this.versions = result.versions;
+        this.render();
+      }
+    });
+  }
+
+  /**
+   * Save the board as it is now; without a name the time is used
+   */
+  save() {
+    const name = this.nameInput.value.trim() || new Date().toLocaleString();
+
+    this.wsManager.sendSaveVersion(name).then(result => {
+      if (result.ok) {
+        this.nameInput.value = '';
+      } else {
+        alert(result.error);
+      }
+    });
+  }
+
+  /**
+   * Show a version instead of the live board; nothing changes until it
+   * is restored
+   */
+  preview(version) {
+    this.wsManager.sendGetVersion(version.id).then(result => {
+      if (!result.ok) {
+        alert(result.error);
+        return;
+      }
+
+      this.previewing = result.version;
+      this.dropdown.classList.add('hidden');
+      this.previewName.textContent =
+        `Previewing “${result.version.name}” (${new Date(result.version.createdAt).toLocaleString()})`;
+      this.previewBar.classList.remove('hidden');
+
+      if (this.onToggle) {
+        this.onToggle(true);
+      }
+
+      this.canvasManager.setReplayOperations(result.version.operations);
+      this.canvasManager.redrawAll(result.version.operations);
+    });
+  }
+
+  /**
+   * Back to the live board
+   */
+  closePreview() {
+    if (!this.previewing) return;
+
+    this.previewing = null;
+    this.previewBar.classList.add('hidden');
+
+    this.canvasManager.setReplayOperations(null);
+    this.canvasManager.redrawAll(this.wsManager.operations);
+
+    if (this.onToggle) {
+      this.onToggle(false);
+    }
+  }
+
+  /**
+   * Replace the board with a version for everyone; the restorer can undo it
+   */
+  restore(version) {
+    if (!version) return;
+
+    if (!confirm(`Restore “${version.name}”? This replaces the board for everyone. You can undo it.`)) {
+      return;
+    }
+
+    this.wsManager.sendRestoreVersion(version.id).then(result => {
+      if (result.ok) {
+        this.closePreview();
+        this.dropdown.classList.add('hidden');
+      } else {
+        alert(result.error);
+      }
+    });
+  }
+
+  /**
+   * Rebuild the list, newest first
+   */
+  render() {
+    this.list.innerHTML = '';
+
+    if (this.versions.length === 0) {
+      const empty = document.createElement('li');
+      empty.className = 'version-empty';
+      empty.textContent = 'No versions yet';
+      this.list.appendChild(empty);
+      return;
+    }
+
+    this.versions.forEach(version => {
+      const item = document.createElement('li');
+      item.className = 'version-item';
+
+      const name = document.createElement('div');
+      name.className = 'version-name';
+      name.textContent = version.name;
+
+      // Who saved it, or that the server did
+      const details = document.createElement('div');
+      details.className = 'version-details';
+      details.textContent = [
+        new Date(version.createdAt).toLocaleString(),
+        `${version.operationCount} operations`,
+        version.auto ? 'automatic' : version.username
+      ].filter(Boolean).join(' · ');
+
+      // Viewers can preview but not restore
+      const restoreButton = this.createButton('Restore', () => this.restore(version));
+      restoreButton.classList.add('edit-only');
+
+      const actions = document.createElement('div');
+      actions.className = 'version-actions';
+      actions.append(
+        this.createButton('Preview', () => this.preview(version)),
+        restoreButton
+      );
+
+      item.append(name, details, actions);
+      this.list.appendChild(item);
+    });
+  }
+
+  createButton(label, onClick) {
+    const button = document.createElement('button');
+    button.className = 'version-btn';
+    button.textContent = label;
+    button.addEventListener('click', (e) => {
+      e.stopPropagation();
+      onClick();
+    });
+    return button;
+  }
+}
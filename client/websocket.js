@@ -1,3 +1,6 @@
+// Roles in a room, from most to least rights
+const USER_ROLES = ['owner', 'editor', 'viewer'];
+
 /**
  * WebSocket Manager
  * Handles all real-time communication with the server
@@ -6,23 +9,94 @@ class WebSocketManager {
   constructor(canvasManager) {
     this.canvasManager = canvasManager;
     this.socket = null;
-    this.roomId = 'default-room';
+    this.roomId = this.getRoomIdFromLocation();
     this.userId = null;
     this.username = null;
     this.userColor = null;
     
+    // Identifies this browser to rooms, so it keeps its role when it returns
+    this.userKey = this.getOrCreateUserKey();
+    
+    // Role in the current room (owner, editor or viewer), null until joined
+    this.role = null;
+    
+    // Credentials for the next join: a password typed in when the room
+    // asked for one, and an invite token from the page URL
+    this.joinPassword = null;
+    this.invite = new URLSearchParams(window.location.search).get('invite');
+    
     // Store operations for undo/redo
     this.operations = [];
-    this.operationIndex = {};
+    // Without a prototype, so ids like "constructor" aren't found in it
+    this.operationIndex = Object.create(null);
     
     // Remote cursors
     this.cursors = {};
+    
+    // What other users see: userId -> { x, y, width, height } in board units
+    this.viewports = {};
 
     // Connection status
     this.connected = false;
+    
+    // Whether the current room's state has arrived since (re)connecting;
+    // until then changes wait in the outbox
+    this.synced = false;
+    
+    // Changes made while offline, sent in order once the room is synced
+    this.outbox = [];
+    this.maxOutbox = 1000;
+    
+    // The outbox drains in batches so a long offline session stays within
+    // the server's rate limits
+    this.outboxBatchSize = 15;
+    this.outboxBatchDelay = 1000;
+    this.outboxTimer = null;
+    
+    // Our own operations, already in `operations` under a provisional id,
+    // until the server acknowledges them: id -> { data, operation }
+    this.pendingDraws = new Map();
+    
+    // Last change seen from the room, so a reconnect only fetches what was
+    // missed. The epoch changes whenever the server reloads the room
+    this.epoch = null;
+    this.lastSeq = 0;
+    
+    // Set while missed changes are being fetched after a gap in the numbers
+    this.fetchingMissed = false;
+    
+    // Local freehand stroke being streamed to the room
+    this.activeStroke = null;
+    this.strokeFlushDelay = 30; // Batch streamed points every 30ms
 
+    // Called when the room's layer stack changes
+    this.onLayersChange = null;
+
+    // Called with the room's saved versions, newest first, when they change
+    this.onVersionsChange = null;
+    
+    // Called when our role in the room changes
+    this.onRoleChange = null;
+    
+    // Called with the room's recent chat messages on joining (empty when
+    // leaving), and with each new message after that
+    this.onChatHistory = null;
+    this.onChatMessage = null;
+    
+    // Called with a user id and their viewport (null once they leave), with
+    // a user id when the users list's follow button is clicked, and when
+    // someone brings everyone to their view
+    this.onViewportChange = null;
+    this.onFollowClick = null;
+    this.onSummon = null;
+    
+    // Called with { userId, username, color } when someone changes their
+    // profile, us included
+    this.onUserUpdate = null;
+    
     // Latency tracking
     this.latency = 0;
+    this.latencyInterval = null;
     this.latencyDisplay = document.getElementById('latency-value');
 
     // Cursor cleanup interval (remove stale cursors after 5 seconds)
@@ -52,7 +126,7 @@ class WebSocketManager {
    */
   startLatencyMeasurement() {
     // Measure latency every 2 seconds
-    setInterval(() => {
+    this.latencyInterval = setInterval(() => {
       if (!this.connected) return;
 
       const start = performance.now();
@@ -85,8 +159,10 @@ class WebSocketManager {
       this.userId = this.socket.id;
       this.updateConnectionStatus('connected');
 
-      // Start latency measurement
-      this.startLatencyMeasurement();
+      // Start latency measurement; reconnects reuse the running interval
+      if (!this.latencyInterval) {
+        this.startLatencyMeasurement();
+      }
 
       // Join room
       this.joinRoom();
@@ -95,6 +171,10 @@ class WebSocketManager {
     this.socket.on('disconnect', () => {
       console.log('Disconnected from server');
       this.connected = false;
+      this.synced = false;
+      
+      // The server dropped our live stroke; finish it as a plain draw
+      this.activeStroke = null;
       this.updateConnectionStatus('disconnected');
     });
     
@@ -103,9 +183,24 @@ class WebSocketManager {
       this.updateConnectionStatus('disconnected');
     });
     
-    // Drawing events
-    this.socket.on('draw', (data) => {
-      this.handleRemoteDraw(data);
+    // Changes to the room's operations, numbered by the server
+    Object.keys(this.getChangeHandlers()).forEach(event => {
+      this.socket.on(event, (data) => {
+        this.handleChange(event, data);
+      });
+    });
+    
+    // Other users' in-progress strokes
+    this.socket.on('stroke-start', (data) => {
+      this.handleStrokeStart(data);
+    });
+    
+    this.socket.on('stroke-append', (data) => {
+      this.handleStrokeAppend(data);
+    });
+    
+    this.socket.on('stroke-cancel', (data) => {
+      this.handleStrokeCancel(data);
     });
     
     // Initial state when joining
@@ -113,6 +208,11 @@ class WebSocketManager {
       this.handleInitialState(data);
     });
     
+    // Only the missed changes when rejoining after a dropped connection
+    this.socket.on('resync', (data) => {
+      this.handleResync(data);
+    });
+    
     // User events
     this.socket.on('user-joined', (data) => {
       this.handleUserJoined(data);
@@ -122,37 +222,276 @@ class WebSocketManager {
       this.handleUserLeft(data);
     });
     
+    // An owner changed someone's role
+    this.socket.on('user-role-changed', (data) => {
+      this.handleUserRoleChanged(data);
+    });
+    
+    // Someone renamed themselves or picked another color
+    this.socket.on('user-updated', (data) => {
+      this.handleUserUpdated(data);
+    });
+    
+    // Chat isn't numbered; a rejoin brings the recent messages instead
+    this.socket.on('chat-message', (data) => {
+      if (this.onChatMessage) {
+        this.onChatMessage(data.message);
+      }
+    });
+    
+    // The room wants a password
+    this.socket.on('join-error', (data) => {
+      this.handleJoinError(data);
+    });
+    
+    // We sent too much or too fast
+    this.socket.on('limit-exceeded', (data) => {
+      this.handleLimitExceeded(data);
+    });
+    
     // Cursor events
     this.socket.on('cursor-move', (data) => {
       this.handleCursorMove(data);
     });
     
-    // Undo/Redo events
-    this.socket.on('undo', (data) => {
-      this.handleUndo(data);
+    // Other users' visible areas
+    this.socket.on('viewport', ({ userId, ...viewport }) => {
+      this.updateViewport(userId, viewport);
+    });
+    
+    this.socket.on('summon', (data) => {
+      this.updateViewport(data.userId, data.viewport);
+      if (this.onSummon) {
+        this.onSummon(data);
+      }
     });
     
-    this.socket.on('redo', (data) => {
-      this.handleRedo(data);
+    // Layer stack changes
+    this.socket.on('layers-updated', (data) => {
+      this.handleLayersUpdated(data);
     });
     
-    // Clear canvas event
-    this.socket.on('clear-canvas', () => {
-      this.handleClearCanvas();
+    // Saved versions of the room
+    this.socket.on('versions-updated', (data) => {
+      if (this.onVersionsChange) {
+        this.onVersionsChange(data.versions);
+      }
     });
   }
   
+  /**
+   * Handlers for the numbered changes the server broadcasts, by event
+   * name. The same handlers replay changes missed while disconnected
+   */
+  getChangeHandlers() {
+    return {
+      // The sequence number is not part of the operation
+      'draw': ({ seq, ...operation }) => this.handleRemoteDraw(operation),
+      'undo': (data) => this.handleUndo(data),
+      'redo': (data) => this.handleRedo(data),
+      // Scenes loaded from a file
+      'operations-imported': (data) => this.handleOperationsImported(data),
+      // Edits to existing operations
+      'operation-updated': (data) => this.handleOperationUpdated(data),
+      // Selection edits and restored versions
+      'operations-changed': (data) => this.applyChanges(data.changes),
+      'clear-canvas': (data) => this.handleClearCanvas(data)
+    };
+  }
+  
+  /**
+   * Apply a numbered change unless it was already seen. A change further
+   * ahead means some went missing; they are fetched, and the ones after
+   * them are in the answer too
+   */
+  handleChange(event, data) {
+    if (data.seq <= this.lastSeq) return;
+    
+    if (data.seq > this.lastSeq + 1) {
+      this.fetchMissedChanges();
+      return;
+    }
+    this.lastSeq = data.seq;
+    
+    this.getChangeHandlers()[event](PathCodec.unpackOperations(data));
+  }
+  
+  /**
+   * Ask for the changes after the last one we saw. If the server no
+   * longer has them all, join the room again for the full state
+   */
+  fetchMissedChanges() {
+    if (this.fetchingMissed) return;
+    this.fetchingMissed = true;
+    
+    const roomId = this.roomId;
+    this.request('get-changes', { epoch: this.epoch, lastSeq: this.lastSeq }).then(result => {
+      if (roomId !== this.roomId || !this.fetchingMissed) return;
+      this.fetchingMissed = false;
+      
+      if (result.ok) {
+        console.log(`Fetched ${result.changes.length} missed changes`);
+        result.changes.forEach(change => {
+          this.handleChange(change.event, { ...change.data, seq: change.seq });
+        });
+      } else if (this.connected) {
+        this.synced = false;
+        this.joinRoom();
+      }
+    });
+  }
+  
+  /**
+   * Read the room id from a /r/:roomId URL
+   */
+  getRoomIdFromLocation() {
+    const match = window.location.pathname.match(/^\/r\/([A-Za-z0-9_-]{1,64})\/?$/);
+    return match ? match[1] : 'default-room';
+  }
+  
+  /**
+   * Leave the current room and join another without reloading the page
+   */
+  switchRoom(roomId) {
+    if (roomId === this.roomId) return;
+    
+    if (this.connected) {
+      this.socket.emit('leave-room');
+    }
+    
+    this.resetRoomState();
+    this.roomId = roomId;
+    this.synced = false;
+    
+    if (this.connected) {
+      this.joinRoom();
+    }
+  }
+  
+  /**
+   * Drop everything that belongs to the current room
+   */
+  resetRoomState() {
+    this.operations = [];
+    this.operationIndex = Object.create(null);
+    this.activeStroke = null;
+    
+    // Nothing carries over to another room, not even unsent changes
+    this.outbox = [];
+    clearTimeout(this.outboxTimer);
+    this.outboxTimer = null;
+    this.pendingDraws.clear();
+    this.epoch = null;
+    this.lastSeq = 0;
+    this.fetchingMissed = false;
+    this.joinPassword = null;
+    this.invite = null;
+    this.setRole(null);
+    
+    this.canvasManager.clear();
+    this.canvasManager.clearLiveStrokes();
+    
+    Object.keys(this.cursors).forEach(userId => this.removeCursor(userId));
+    this.updateUsersList([]);
+    
+    if (this.onChatHistory) {
+      this.onChatHistory([]);
+    }
+  }
+  
   joinRoom() {
     // Generate or get username
     this.username = this.getOrCreateUsername();
     
-    // Join the room
+    this.updateRoomDisplay();
+    
+    // A password picked on the landing page for a new room
+    const newPassword = sessionStorage.getItem(`room-password:${this.roomId}`);
+    if (newPassword) {
+      this.joinPassword = newPassword;
+      sessionStorage.removeItem(`room-password:${this.roomId}`);
+    }
+    
+    // Join the room; after a dropped connection the server can tell
+    // from the last change we saw what we missed
     this.socket.emit('join-room', {
       roomId: this.roomId,
-      username: this.username
+      username: this.username,
+      color: this.getPreferredColor(),
+      userKey: this.userKey,
+      password: this.joinPassword,
+      invite: this.invite,
+      epoch: this.epoch,
+      lastSeq: this.lastSeq
     });
   }
   
+  /**
+   * The room needs a password we don't have (or got wrong); ask for it and
+   * try again, or go back to the landing page
+   */
+  handleJoinError(data) {
+    if (data.roomId !== this.roomId) return;
+    
+    // The server couldn't read the room; ask again a little later
+    if (data.code === 'load-failed') {
+      this.showNotification(data.error, 'error');
+      setTimeout(() => {
+        if (this.connected && !this.synced && this.roomId === data.roomId) {
+          this.joinRoom();
+        }
+      }, 5000);
+      return;
+    }
+    
+    const password = prompt(data.code === 'wrong-password'
+      ? 'Wrong password, try again:'
+      : `Room "${this.roomId}" needs a password:`);
+    
+    if (password === null) {
+      window.location.href = '/';
+      return;
+    }
+    
+    this.joinPassword = password;
+    this.joinRoom();
+  }
+  
+  /**
+   * The server refused something we sent. Refused joins are tried again a
+   * little later; after too many refusals the server disconnects us
+   */
+  handleLimitExceeded(data) {
+    if (data.disconnect) {
+      this.showNotification('Disconnected for sending too much, reload to reconnect', 'error');
+      return;
+    }
+    
+    this.showNotification(data.error, 'warning');
+    
+    if (data.event === 'join-room') {
+      const roomId = this.roomId;
+      setTimeout(() => {
+        if (this.connected && !this.synced && this.roomId === roomId) {
+          this.joinRoom();
+        }
+      }, 2000);
+    }
+  }
+  
+  /**
+   * Random key kept in this browser; rooms remember roles by it
+   */
+  getOrCreateUserKey() {
+    let key = localStorage.getItem('canvas-user-key');
+    if (!key) {
+      const bytes = crypto.getRandomValues(new Uint8Array(24));
+      key = Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+      localStorage.setItem('canvas-user-key', key);
+    }
+    return key;
+  }
+  
   getOrCreateUsername() {
     let username = localStorage.getItem('canvas-username');
     if (!username) {
@@ -162,31 +501,143 @@ class WebSocketManager {
     return username;
   }
   
+  /**
+   * Color picked in the profile; the server gives it to us in every room
+   * where nobody else has it
+   */
+  getPreferredColor() {
+    return localStorage.getItem('canvas-user-color');
+  }
+  
   handleInitialState(data) {
+    // Ignore state for a room we have already switched away from
+    if (data.roomId && data.roomId !== this.roomId) return;
+    
     console.log('Received initial state:', data);
     
+    this.handleRoomJoined(data);
+    
+    // Replace local state with the room's operations; ours that the
+    // server already has are settled
+    const operations = (data.operations || []).map(PathCodec.unpackOperations);
+    operations.forEach(op => this.pendingDraws.delete(op.id));
+    this.setOperations(operations);
+    this.canvasManager.redrawAll(this.operations);
+    
+    this.flushOutbox();
+  }
+  
+  /**
+   * Rejoined after a dropped connection: apply the changes made meanwhile
+   * on top of the operations we still have
+   */
+  handleResync(data) {
+    if (data.roomId !== this.roomId) return;
+    
+    console.log(`Resynced, ${data.changes.length} missed changes`);
+    
+    const handlers = this.getChangeHandlers();
+    data.changes.forEach(change => {
+      handlers[change.event](PathCodec.unpackOperations(change.data));
+    });
+    
+    this.handleRoomJoined(data);
+    this.flushOutbox();
+  }
+  
+  /**
+   * What initial-state and resync have in common
+   */
+  handleRoomJoined(data) {
+    this.epoch = data.epoch;
+    this.lastSeq = data.seq;
+    this.synced = true;
+    
+    // Missed changes asked for before a reconnect are never answered
+    this.fetchingMissed = false;
+    
+    // The room remembers us now; credentials aren't needed again
+    this.joinPassword = null;
+    if (this.invite) {
+      this.invite = null;
+      history.replaceState(history.state, '', window.location.pathname);
+    }
+    this.setRole(data.role);
+    
+    // Operations sent before the connection dropped that never arrived
+    // (acknowledgements don't survive a reconnect) go out again first
+    const queued = new Set(this.outbox.map(({ data }) => data.id));
+    const resend = [];
+    this.pendingDraws.forEach(({ data }, id) => {
+      if (!queued.has(id)) {
+        resend.push({ event: 'draw', data });
+      }
+    });
+    this.outbox = resend.concat(this.outbox);
+    
     // Set user color
     this.userColor = data.userColor;
     this.updateUserDisplay();
     
-    // Draw all existing operations
-    this.operations = data.operations || [];
-    this.operations.forEach(op => {
-      this.canvasManager.drawPath(op);
-      this.operationIndex[op.id] = op;
-    });
+    this.handleLayersUpdated({ layers: data.layers || [] });
+    
+    // Messages sent while we were away are in the history
+    if (this.onChatHistory) {
+      this.onChatHistory(data.chat || []);
+    }
     
     // Update users list
     this.updateUsersList(data.users || []);
+    this.updateConnectionStatus('connected');
+    
+    // Let the others know what we see
+    this.sendViewport(this.canvasManager.getViewport());
   }
   
   handleRemoteDraw(data) {
-    // Add to operations list
-    this.operations.push(data);
-    this.operationIndex[data.id] = data;
+    // One of our own operations, replayed by a resync: it made it to the
+    // server and its provisional copy is already drawn
+    if (this.operationIndex[data.id]) {
+      this.pendingDraws.delete(data.id);
+      this.replaceOperation(data.id, data);
+      return;
+    }
+    
+    // A committed stroke replaces its live preview
+    if (data.strokeId) {
+      this.canvasManager.endLiveStroke(this.getLiveStrokeKey(data));
+    }
     
-    // Draw on canvas
-    this.canvasManager.drawPath(data);
+    // Add to operations list and draw it; underneath our own unconfirmed
+    // operations it needs a full redraw
+    if (this.insertConfirmed(data) === this.operations.length - 1) {
+      this.canvasManager.drawOperation(data);
+    } else {
+      this.canvasManager.redrawAll(this.operations);
+    }
+  }
+  
+  /**
+   * Live strokes are keyed by user as well, since stroke ids are picked
+   * by each client
+   */
+  getLiveStrokeKey(data) {
+    return `${data.userId}:${data.strokeId}`;
+  }
+  
+  handleStrokeStart(data) {
+    this.canvasManager.startLiveStroke(this.getLiveStrokeKey(data), data);
+  }
+  
+  handleStrokeAppend(data) {
+    const points = PathCodec.decodePoints(data.points);
+    if (!points) return;
+    
+    this.canvasManager.appendLiveStroke(this.getLiveStrokeKey(data), points);
+  }
+  
+  handleStrokeCancel(data) {
+    this.canvasManager.endLiveStroke(this.getLiveStrokeKey(data));
   }
   
   handleUserJoined(data) {
@@ -199,46 +650,526 @@ class WebSocketManager {
     console.log(`${data.username} left`);
     this.removeUserFromList(data.userId);
     this.removeCursor(data.userId);
+    this.removeViewport(data.userId);
     this.showNotification(`${data.username} left`, 'info');
   }
   
+  handleUserRoleChanged(data) {
+    const li = document.getElementById(`user-${data.userId}`);
+    if (li) {
+      li.dataset.role = data.role;
+      this.renderUserRole(li);
+    }
+    
+    if (data.userId === this.userId) {
+      this.setRole(data.role);
+      this.showNotification(`You are now ${data.role === 'editor' ? 'an' : 'a'} ${data.role}`, 'info');
+    }
+  }
+  
+  /**
+   * Show someone's new name and color in the users list, on their cursor
+   * and around their viewport
+   */
+  handleUserUpdated(data) {
+    const li = document.getElementById(`user-${data.userId}`);
+    if (li) {
+      li.dataset.color = data.color;
+      li.querySelector('.user-color-dot').style.backgroundColor = data.color;
+      li.querySelector('span').textContent = data.username;
+    }
+    
+    const cursor = this.cursors[data.userId];
+    if (cursor) {
+      cursor.element.style.backgroundColor = data.color;
+      cursor.element.querySelector('.cursor-label').textContent = data.username;
+    }
+    
+    if (this.viewports[data.userId]) {
+      this.updateViewport(data.userId, this.viewports[data.userId]);
+    }
+    
+    if (data.userId === this.userId) {
+      this.username = data.username;
+      this.userColor = data.color;
+      this.updateUserDisplay();
+    }
+    
+    if (this.onUserUpdate) {
+      this.onUserUpdate(data);
+    }
+  }
+  
+  setRole(role) {
+    if (role === this.role) return;
+    
+    const wasOwner = this.role === 'owner';
+    this.role = role;
+    
+    // Owners get role pickers in the users list
+    if (wasOwner !== (role === 'owner')) {
+      document.querySelectorAll('#users-list .user-item').forEach(li => this.renderUserRole(li));
+    }
+    
+    if (this.onRoleChange) {
+      this.onRoleChange(role);
+    }
+  }
+  
+  /**
+   * Owners and editors can change the board, viewers only watch
+   */
+  canEdit() {
+    return this.role === 'owner' || this.role === 'editor';
+  }
+  
   handleCursorMove(data) {
     this.updateCursor(data.userId, data.x, data.y);
   }
   
   handleUndo(data) {
-    // Remove the operation from our list
-    const index = this.operations.findIndex(op => op.id === data.operationId);
-    if (index !== -1) {
-      this.operations.splice(index, 1);
-      delete this.operationIndex[data.operationId];
-    }
+    this.applyChanges(data.changes);
+  }
+  
+  handleRedo(data) {
+    this.applyChanges(data.changes);
+  }
+  
+  /**
+   * Mirror changes made on the server by an undo, redo or selection edit
+   * Each change adds (at an index), removes or updates one operation
+   */
+  applyChanges(changes) {
+    changes.forEach(change => {
+      if (change.type === 'add') {
+        // Put the operation back where it was in the history
+        const index = Math.max(0, Math.min(change.index, this.operations.length));
+        this.operations.splice(index, 0, change.operation);
+        this.operationIndex[change.operation.id] = change.operation;
+      } else if (change.type === 'remove') {
+        const index = this.operations.findIndex(op => op.id === change.operationId);
+        if (index !== -1) {
+          this.operations.splice(index, 1);
+          delete this.operationIndex[change.operationId];
+        }
+      } else if (change.type === 'update') {
+        const index = this.operations.findIndex(op => op.id === change.operation.id);
+        if (index !== -1) {
+          this.operations[index] = change.operation;
+          this.operationIndex[change.operation.id] = change.operation;
+        }
+      }
+    });
     
-    // Redraw canvas
+    // Changes can sit underneath later operations, redraw in order
     this.canvasManager.redrawAll(this.operations);
   }
   
-  handleRedo(data) {
-    // Add the operation back
-    this.operations.push(data.operation);
+  handleOperationsImported(data) {
+    const kept = data.mode === 'replace' ? [] : this.getConfirmedOperations();
+    this.setOperations(kept.concat(data.operations));
+    
+    this.canvasManager.redrawAll(this.operations);
+    this.showNotification(`${data.operations.length} operations imported`, 'info');
+  }
+  
+  handleOperationUpdated(data) {
+    const index = this.operations.findIndex(op => op.id === data.operation.id);
+    if (index === -1) return;
+    
+    this.operations[index] = data.operation;
     this.operationIndex[data.operation.id] = data.operation;
     
-    // Draw the operation
-    this.canvasManager.drawPath(data.operation);
+    // The operation may sit under others, so redraw in order
+    this.canvasManager.redrawAll(this.operations);
   }
   
-  handleClearCanvas() {
-    this.operations = [];
-    this.operationIndex = {};
-    this.canvasManager.clear();
+  handleLayersUpdated(data) {
+    this.canvasManager.setLayers(data.layers);
+    
+    if (this.onLayersChange) {
+      this.onLayersChange(this.canvasManager.layers);
+    }
+  }
+  
+  handleClearCanvas(data) {
+    // Content on locked layers stays
+    const kept = this.operations.filter(op => !this.pendingDraws.has(op.id) &&
+      data.lockedLayerIds.includes(this.canvasManager.getOperationLayer(op).id));
+    
+    this.setOperations(kept);
+    this.canvasManager.redrawAll(this.operations);
     this.showNotification('Canvas cleared', 'info');
   }
   
-  // Send drawing data to server
+  /**
+   * Send a change now, or keep it for when the room is synced again
+   * Beyond maxOutbox the oldest unsent changes are dropped
+   */
+  sendOrQueue(event, data) {
+    // While the outbox drains, new changes wait behind it to keep the order
+    if (this.synced && this.outbox.length === 0) {
+      this.emitChange(event, data);
+      return;
+    }
+    
+    this.outbox.push({ event, data });
+    if (this.outbox.length > this.maxOutbox) {
+      const dropped = this.outbox.shift();
+      if (dropped.event === 'draw') {
+        this.handleDrawAck(dropped.data.id, { ok: false, error: 'Too many unsent changes' });
+      }
+    }
+    
+    if (!this.synced) {
+      this.updateConnectionStatus('disconnected');
+    }
+  }
+  
+  /**
+   * Send what was queued while offline, in order, one batch at a time
+   */
+  flushOutbox() {
+    clearTimeout(this.outboxTimer);
+    this.outboxTimer = null;
+    
+    // Disconnected again; the rest goes after the next join
+    if (!this.synced) return;
+    
+    const batch = this.outbox.splice(0, this.outboxBatchSize);
+    batch.forEach(({ event, data }) => this.emitChange(event, data));
+    
+    if (batch.length > 0) {
+      console.log(`Sent ${batch.length} changes made while offline`);
+    }
+    
+    if (this.outbox.length > 0) {
+      this.outboxTimer = setTimeout(() => this.flushOutbox(), this.outboxBatchDelay);
+    }
+  }
+  
+  /**
+   * Emit a change to the room; new operations are acknowledged
+   */
+  emitChange(event, data) {
+    if (event === 'draw') {
+      this.socket.emit('draw', PathCodec.packOperations(data), result => this.handleDrawAck(data.id, result));
+    } else {
+      this.socket.emit(event, data);
+    }
+  }
+  
+  /**
+   * Add one of our own operations to the board before the server has it,
+   * under a provisional id the server keeps if it can
+   * Returns the data to send
+   */
+  addProvisionalOperation(pathData) {
+    const id = `${Date.now().toString(36)}-${Math.random().toString(36).substring(2, 10)}`;
+    const data = { ...pathData, id };
+    const operation = {
+      ...data,
+      userId: this.userId,
+      username: this.username,
+      timestamp: Date.now()
+    };
+    
+    this.operations.push(operation);
+    this.operationIndex[id] = operation;
+    this.pendingDraws.set(id, { data, operation });
+    
+    return data;
+  }
+  
+  /**
+   * The server stored or rejected one of our operations. A stored one is
+   * replaced by the server's copy (possibly under another id), a rejected
+   * one is taken off the board again
+   */
+  handleDrawAck(id, result) {
+    // Settled by a resync already, or left behind in another room
+    if (!this.pendingDraws.has(id)) return;
+    this.pendingDraws.delete(id);
+    
+    if (result.ok) {
+      // Changes numbered before ours have all reached us by now
+      this.lastSeq = Math.max(this.lastSeq, result.seq);
+      this.replaceOperation(id, PathCodec.unpackOperations(result.operation));
+    } else {
+      console.warn(`Operation rejected: ${result.error}`);
+      this.applyChanges([{ type: 'remove', operationId: id }]);
+    }
+  }
+  
+  /**
+   * Swap an operation for a newer copy in place, without redrawing. If a
+   * clear or replacing import took it off the board, the server stored it
+   * after that and it goes back on top
+   */
+  replaceOperation(id, operation) {
+    const index = this.operations.findIndex(op => op.id === id);
+    if (index === -1) {
+      this.insertConfirmed(operation);
+      this.canvasManager.redrawAll(this.operations);
+      return;
+    }
+    
+    this.operations[index] = operation;
+    delete this.operationIndex[id];
+    this.operationIndex[operation.id] = operation;
+  }
+  
+  /**
+   * Our operations waiting for the server always stay on top, in the
+   * order they were sent; that is where the server will put them
+   */
+  getConfirmedOperations() {
+    return this.operations.filter(op => !this.pendingDraws.has(op.id));
+  }
+  
+  /**
+   * Replace the room's operations, keeping ours that are still pending
+   */
+  setOperations(confirmed) {
+    const pending = this.operations.filter(op => this.pendingDraws.has(op.id));
+    
+    this.operations = confirmed.concat(pending);
+    this.operationIndex = Object.create(null);
+    this.operations.forEach(op => {
+      this.operationIndex[op.id] = op;
+    });
+  }
+  
+  /**
+   * Add an operation the server has stored on top of the others, below
+   * our pending ones. Returns its index
+   */
+  insertConfirmed(operation) {
+    let index = this.operations.length;
+    while (index > 0 && this.pendingDraws.has(this.operations[index - 1].id)) {
+      index--;
+    }
+    
+    this.operations.splice(index, 0, operation);
+    this.operationIndex[operation.id] = operation;
+    return index;
+  }
+  
+  // Send drawing data to server; it shows in `operations` right away
   sendDraw(pathData) {
-    if (!this.connected || !pathData) return;
+    if (!pathData) return;
+    
+    this.sendOrQueue('draw', this.addProvisionalOperation(pathData));
+  }
+  
+  // Send changes to an existing operation
+  sendUpdateOperation(operationId, changes) {
+    this.sendOrQueue('update-operation', { operationId, changes });
+  }
+  
+  /**
+   * Send a request the server acknowledges
+   * Resolves with its answer, { ok: true, ... } or { ok: false, error }
+   */
+  request(event, data) {
+    if (!this.connected) {
+      return Promise.resolve({ ok: false, error: 'Not connected to the server' });
+    }
+    
+    return new Promise(resolve => {
+      this.socket.emit(event, data, resolve);
+    });
+  }
+  
+  /**
+   * Upload a scene (parsed export JSON) onto a layer of the room
+   * mode is 'merge' or 'replace'; resolves with { ok, count } or { ok, error }
+   */
+  sendImport(scene, mode, layerId) {
+    return this.request('import-operations', { scene, mode, layerId });
+  }
+  
+  // Selection edits; each resolves with the server's answer
+  sendUpdateOperations(updates) {
+    return this.request('update-operations', { updates });
+  }
+  
+  sendDeleteOperations(operationIds) {
+    return this.request('delete-operations', { operationIds });
+  }
+  
+  sendDuplicateOperations(operationIds, offset) {
+    return this.request('duplicate-operations', { operationIds, offset });
+  }
+  
+  // Version history; each resolves with the server's answer
+  sendListVersions() {
+    return this.request('list-versions', {});
+  }
+  
+  sendSaveVersion(name) {
+    return this.request('save-version', { name });
+  }
+  
+  sendGetVersion(versionId) {
+    return this.request('get-version', { versionId });
+  }
+  
+  sendRestoreVersion(versionId) {
+    return this.request('restore-version', { versionId });
+  }
+  
+  // Chat; resolves with the server's answer, the message itself arrives
+  // like everyone else's
+  sendChatMessage(text) {
+    return this.request('chat-message', { text });
+  }
+  
+  /**
+   * Change our name and/or color: { username, color }, either may be left
+   * out. Resolves with the server's answer; what it accepted is kept for
+   * the next join
+   */
+  updateProfile(profile) {
+    return this.request('update-profile', profile).then(result => {
+      if (result.ok) {
+        if (profile.username !== undefined) {
+          localStorage.setItem('canvas-username', result.username);
+        }
+        if (profile.color !== undefined) {
+          localStorage.setItem('canvas-user-color', result.color);
+        }
+      }
+      return result;
+    });
+  }
+  
+  // Room access (owners only); each resolves with the server's answer
+  sendGetRoomAccess() {
+    return this.request('get-room-access', {});
+  }
+  
+  // changes: { password } (null opens the room) and/or { defaultRole }
+  sendUpdateRoomAccess(changes) {
+    return this.request('update-room-access', changes);
+  }
+  
+  sendUpdateInvite(role, revoke = false) {
+    return this.request('update-invite', { role, revoke });
+  }
+  
+  sendSetRole(userId, role) {
+    return this.request('set-role', { userId, role });
+  }
+  
+  // Layer changes; each resolves with the server's answer
+  sendCreateLayer(name) {
+    return this.request('create-layer', { name });
+  }
+  
+  sendUpdateLayer(layerId, changes) {
+    return this.request('update-layer', { layerId, changes });
+  }
+  
+  sendMoveLayer(layerId, index) {
+    return this.request('move-layer', { layerId, index });
+  }
+  
+  sendDeleteLayer(layerId) {
+    return this.request('delete-layer', { layerId });
+  }
+  
+  /**
+   * Start streaming a freehand stroke
+   */
+  beginStroke(stroke, point) {
+    if (!this.synced) return;
+    
+    const strokeId = `${Date.now().toString(36)}-${Math.random().toString(36).substring(2, 8)}`;
+    
+    this.activeStroke = {
+      strokeId: strokeId,
+      pending: [],
+      flushTimer: null
+    };
+    
+    this.socket.emit('stroke-start', {
+      strokeId: strokeId,
+      tool: stroke.tool,
+      color: stroke.color,
+      strokeWidth: stroke.strokeWidth,
+      smoothing: stroke.smoothing,
+      layerId: stroke.layerId,
+      point: point
+    });
+  }
+  
+  /**
+   * Queue a point of the active stroke; points go out in small batches
+   */
+  appendStroke(point) {
+    const stroke = this.activeStroke;
+    if (!stroke) return;
+    
+    stroke.pending.push(point);
     
-    this.socket.emit('draw', pathData);
+    if (!stroke.flushTimer) {
+      stroke.flushTimer = setTimeout(() => this.flushStroke(), this.strokeFlushDelay);
+    }
+  }
+  
+  flushStroke() {
+    const stroke = this.activeStroke;
+    if (!stroke) return;
+    
+    clearTimeout(stroke.flushTimer);
+    stroke.flushTimer = null;
+    
+    if (stroke.pending.length === 0 || !this.synced) return;
+    
+    this.socket.emit('stroke-append', {
+      strokeId: stroke.strokeId,
+      points: PathCodec.encodePoints(stroke.pending)
+    });
+    stroke.pending = [];
+  }
+  
+  /**
+   * Drop the active stroke without committing it; others stop showing it
+   */
+  cancelStroke() {
+    const stroke = this.activeStroke;
+    this.activeStroke = null;
+    if (!stroke) return;
+    
+    clearTimeout(stroke.flushTimer);
+    
+    if (this.synced) {
+      this.socket.emit('stroke-cancel', { strokeId: stroke.strokeId });
+    }
+  }
+  
+  /**
+   * Finish the active stroke, committing the complete path
+   * Falls back to a plain draw if the stroke was never streamed
+   */
+  endStroke(pathData) {
+    const stroke = this.activeStroke;
+    this.activeStroke = null;
+    
+    if (!stroke || !this.synced) {
+      this.sendDraw(pathData);
+      return;
+    }
+    
+    // Points still waiting are covered by the complete path
+    clearTimeout(stroke.flushTimer);
+    
+    const data = this.addProvisionalOperation(pathData);
+    this.socket.emit('stroke-end', PathCodec.packOperations({
+      ...data,
+      strokeId: stroke.strokeId
+    }), result => this.handleDrawAck(data.id, result));
   }
   
   // Send cursor position
@@ -248,6 +1179,18 @@ class WebSocketManager {
     this.socket.emit('cursor-move', { x, y });
   }
   
+  // Send the area of the board we see
+  sendViewport(viewport) {
+    if (!this.synced) return;
+    
+    this.socket.emit('viewport', viewport);
+  }
+  
+  // Bring everyone to our view; resolves with the server's answer
+  sendSummon(viewport) {
+    return this.request('summon', viewport);
+  }
+  
   // Send undo request
   sendUndo() {
     if (!this.connected) return;
@@ -279,7 +1222,10 @@ class WebSocketManager {
     if (status === 'connected') {
       statusText.textContent = 'Connected';
     } else if (status === 'disconnected') {
-      statusText.textContent = 'Disconnected';
+      // Changes made meanwhile are sent on reconnect
+      statusText.textContent = this.outbox.length > 0
+        ? `Disconnected · ${this.outbox.length} unsent`
+        : 'Disconnected';
     } else {
       statusText.textContent = 'Connecting...';
     }
@@ -293,6 +1239,14 @@ class WebSocketManager {
     colorEl.style.backgroundColor = this.userColor;
   }
   
+  updateRoomDisplay() {
+    const roomEl = document.getElementById('room-name');
+    if (roomEl) {
+      roomEl.textContent = this.roomId;
+    }
+    document.title = `${this.roomId} - InkSync`;
+  }
+  
   updateUsersList(users) {
     const usersList = document.getElementById('users-list');
     const userCount = document.getElementById('user-count');
@@ -300,8 +1254,19 @@ class WebSocketManager {
     usersList.innerHTML = '';
     userCount.textContent = users.length;
     
+    // Viewports of users who are gone; the others are replaced below
+    const present = new Set(users.map(user => user.userId));
+    Object.keys(this.viewports).forEach(userId => {
+      if (!present.has(userId)) {
+        this.removeViewport(userId);
+      }
+    });
+    
     users.forEach(user => {
       this.addUserToList(user);
+      if (user.viewport && user.userId !== this.userId) {
+        this.updateViewport(user.userId, user.viewport);
+      }
     });
   }
   
@@ -317,15 +1282,75 @@ class WebSocketManager {
     const li = document.createElement('li');
     li.className = 'user-item';
     li.id = `user-${user.userId}`;
-    li.innerHTML = `
-      <div class="user-color-dot" style="background-color: ${user.color}"></div>
-      <span>${user.username}</span>
-    `;
+    li.dataset.userId = user.userId;
+    li.dataset.role = user.role;
+    li.dataset.color = user.color;
+    
+    // Names are user text, so they never go through innerHTML
+    const dot = document.createElement('div');
+    dot.className = 'user-color-dot';
+    dot.style.backgroundColor = user.color;
+    const name = document.createElement('span');
+    name.textContent = user.username;
+    li.append(dot, name);
+    
+    if (user.userId !== this.userId) {
+      const followButton = document.createElement('button');
+      followButton.className = 'user-follow-btn';
+      followButton.title = 'Follow: see what they see';
+      followButton.textContent = 'Follow';
+      followButton.addEventListener('click', () => {
+        if (this.onFollowClick) {
+          this.onFollowClick(user.userId);
+        }
+      });
+      li.appendChild(followButton);
+    }
+    this.renderUserRole(li);
     
     usersList.appendChild(li);
     userCount.textContent = parseInt(userCount.textContent) + 1;
   }
   
+  /**
+   * Show a user's role; owners get a picker for everyone but themselves
+   */
+  renderUserRole(li) {
+    const current = li.querySelector('.user-role');
+    if (current) {
+      current.remove();
+    }
+    
+    const userId = li.dataset.userId;
+    let roleEl;
+    
+    if (this.role === 'owner' && userId !== this.userId) {
+      roleEl = document.createElement('select');
+      USER_ROLES.forEach(role => {
+        const option = document.createElement('option');
+        option.value = role;
+        option.textContent = role;
+        roleEl.appendChild(option);
+      });
+      roleEl.value = li.dataset.role;
+      roleEl.title = 'Change role';
+      roleEl.addEventListener('change', () => {
+        this.sendSetRole(userId, roleEl.value).then(result => {
+          if (!result.ok) {
+            alert(result.error);
+            roleEl.value = li.dataset.role;
+          }
+        });
+      });
+    } else {
+      roleEl = document.createElement('span');
+      roleEl.textContent = li.dataset.role;
+    }
+    
+    roleEl.className = `user-role role-${li.dataset.role}`;
+    li.appendChild(roleEl);
+  }
+  
   removeUserFromList(userId) {
     const userEl = document.getElementById(`user-${userId}`);
     if (userEl) {
@@ -336,6 +1361,9 @@ class WebSocketManager {
     }
   }
   
+  /**
+   * Move a remote cursor; x/y are board coordinates
+   */
   updateCursor(userId, x, y) {
     let cursor = this.cursors[userId];
     
@@ -346,33 +1374,59 @@ class WebSocketManager {
     }
     
     // Update position
-    cursor.element.style.left = `${x}px`;
-    cursor.element.style.top = `${y}px`;
+    cursor.x = x;
+    cursor.y = y;
+    this.positionCursor(cursor);
     cursor.lastUpdate = Date.now();
   }
   
-  createCursor(userId) {
-    const container = document.getElementById('cursors-container');
+  positionCursor(cursor) {
+    const position = this.canvasManager.toScreen(cursor.x, cursor.y);
+    cursor.element.style.left = `${position.x}px`;
+    cursor.element.style.top = `${position.y}px`;
+  }
+  
+  /**
+   * Re-place all cursors after the canvas scale changed
+   */
+  refreshCursors() {
+    Object.values(this.cursors).forEach(cursor => this.positionCursor(cursor));
+  }
+  
+  /**
+   * Name and color of a user, from the users list
+   */
+  getUserInfo(userId) {
     const userEl = document.getElementById(`user-${userId}`);
-    
-    // Get user info
-    let username = 'Anonymous';
-    let color = '#999';
-    
-    if (userEl) {
-      username = userEl.querySelector('span').textContent;
-      color = userEl.querySelector('.user-color-dot').style.backgroundColor;
+    if (!userEl) {
+      return { username: 'Anonymous', color: '#999' };
     }
     
+    return {
+      username: userEl.querySelector('span').textContent,
+      color: userEl.querySelector('.user-color-dot').style.backgroundColor
+    };
+  }
+  
+  createCursor(userId) {
+    const container = document.getElementById('cursors-container');
+    const { username, color } = this.getUserInfo(userId);
+    
     const cursorEl = document.createElement('div');
     cursorEl.className = 'remote-cursor';
     cursorEl.style.backgroundColor = color;
-    cursorEl.innerHTML = `<div class="cursor-label">${username}</div>`;
+    
+    const label = document.createElement('div');
+    label.className = 'cursor-label';
+    label.textContent = username;
+    cursorEl.appendChild(label);
     
     container.appendChild(cursorEl);
     
     return {
       element: cursorEl,
+      x: 0,
+      y: 0,
       lastUpdate: Date.now()
     };
   }
@@ -385,6 +1439,31 @@ class WebSocketManager {
     }
   }
   
+  /**
+   * Record what another user sees and outline it on the board
+   */
+  updateViewport(userId, viewport) {
+    this.viewports[userId] = viewport;
+    
+    const { username, color } = this.getUserInfo(userId);
+    this.canvasManager.setViewportOutline(userId, { ...viewport, color, label: username });
+    
+    if (this.onViewportChange) {
+      this.onViewportChange(userId, viewport);
+    }
+  }
+  
+  removeViewport(userId) {
+    if (!this.viewports[userId]) return;
+    
+    delete this.viewports[userId];
+    this.canvasManager.removeViewportOutline(userId);
+    
+    if (this.onViewportChange) {
+      this.onViewportChange(userId, null);
+    }
+  }
+  
   showNotification(message, type = 'info') {
     // Simple console notification for now
     // You can implement a toast notification system here
@@ -0,0 +1,74 @@
+/**
+ * Room access helpers
+ * Roles, passwords and the keys that identify returning users. Passwords
+ * and user keys are only ever stored hashed
+ */
+const crypto = require('crypto');
+const { promisify } = require('util');
+
+// scrypt runs off the event loop; a synchronous hash would hold up every
+// room for each password check
+const scrypt = promisify(crypto.scrypt);
+
+// Owners manage access, editors draw, viewers only watch
+const ROLES = ['owner', 'editor', 'viewer'];
+const EDIT_ROLES = ['owner', 'editor'];
+
+// Roles an invite link or the room default can hand out
+const INVITE_ROLES = ['editor', 'viewer'];
+
+/**
+ * Access settings of a room nobody has joined yet; whoever creates it
+ * becomes its owner. Resolves once the password is hashed
+ *   password: { salt, hash } or null for an open room
+ *   defaultRole: role of users who join with the password or an open room
+ *   members: hashed user key -> role, for everyone with a remembered role
+ *   invites: role -> join token, or null if there is no invite link
+ */
+async function createAccess(ownerKeyHash, password) {
+  return {
+    password: password ? await hashPassword(password) : null,
+    defaultRole: 'editor',
+    members: { [ownerKeyHash]: 'owner' },
+    invites: { editor: null, viewer: null }
+  };
+}
+
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16).toString('hex');
+  const hash = await scrypt(password, salt, 32);
+  return { salt, hash: hash.toString('hex') };
+}
+
+async function checkPassword(stored, password) {
+  if (!stored || typeof password !== 'string') return false;
+
+  const hash = await scrypt(password, stored.salt, 32);
+  return crypto.timingSafeEqual(hash, Buffer.from(stored.hash, 'hex'));
+}
+
+/**
+ * Users are recognised by a random key their browser keeps
+ */
+function hashKey(key) {
+  return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+function createToken() {
+  return crypto.randomBytes(18).toString('base64url');
+}
+
+function canEdit(role) {
+  return EDIT_ROLES.includes(role);
+}
+
+module.exports = {
+  ROLES,
+  INVITE_ROLES,
+  createAccess,
+  hashPassword,
+  checkPassword,
+  hashKey,
+  createToken,
+  canEdit
+};
@@ -1,11 +1,76 @@
+const { MemoryStorage } = require('./storage');
+
+// Undoable actions kept per user
+const MAX_HISTORY = 100;
+
+// Saved versions kept per room; automatic ones are dropped first
+const MAX_VERSIONS = 50;
+
+// Operations that only versions still hold (they are off the board), in
+// total per room. Beyond it the oldest versions are dropped, so a room's
+// versions never cost more than a full board
+const MAX_VERSION_OPERATIONS = 50000;
+
+// Recent changes kept per room for clients catching up after a reconnect
+const MAX_CHANGE_LOG = 500;
+
+// Chat messages kept per room, so people joining later can read back
+const MAX_CHAT_MESSAGES = 100;
+
+// Journal entries a room collects before it is written as a snapshot, so
+// journals stay short and a load after a crash replays little
+const COMPACT_AFTER_ENTRIES = 1000;
+
+// Every room starts with one layer; operations from before layers existed
+// belong to it
+const DEFAULT_LAYER_ID = 'default';
+
 /**
  * DrawingStateManager manages the canvas state for each room
  * Handles operation history, undo/redo stacks, and state synchronization
+ *
+ * Every change is written through to a storage backend as a journal entry,
+ * so a room can be rebuilt after a restart by replaying its entries. Every
+ * COMPACT_AFTER_ENTRIES entries the room is written as a snapshot instead
+ *
+ * Undo works on actions rather than single operations. An action is a list
+ * of changes (add, remove or update an operation); applying a change yields
+ * its inverse, so undoing an action applies the stored inverses and keeps
+ * theirs for redo. A whole import is one action. Histories are kept per
+ * user id as the caller gives it; server.js uses the hash of the user's key,
+ * which stays the same when they reconnect.
+ *
+ * Each room also has an ordered stack of layers (bottom first). Operations
+ * carry the id of the layer they are drawn on. Layer changes are shared and
+ * persisted but are not part of anyone's undo history.
+ *
+ * Versions are named copies of a room's operation list, saved on request,
+ * before every clear and periodically. Restoring one is an undoable action.
+ * They share operation objects with the board and with each other, and are
+ * stored that way: a journal entry names the version without its operations
+ * (replaying it finds the board as it was) and a snapshot keeps each
+ * operation once.
+ *
+ * Every change broadcast to a room gets the next sequence number of that
+ * room. The most recent ones are kept in memory so a client that dropped
+ * off can be sent just what it missed. Sequence numbers restart when the
+ * room is loaded again, so each load gets a new epoch that clients send
+ * back with their last sequence number.
+ *
+ * Access settings (password, roles, invite links) are stored with the room
+ * as one opaque object that server.js manages; null until someone joins.
+ *
+ * Rooms keep their latest chat messages too. They are persisted like
+ * everything else but are not affected by clears, undo or versions.
  */
 class DrawingStateManager {
-  constructor() {
+  constructor(storage = new MemoryStorage()) {
     // Store state for each room
     this.roomStates = new Map();
+    
+    // Persistence backend and rooms currently being loaded from it
+    this.storage = storage;
+    this.loadingRooms = new Map();
   }
   
   /**
@@ -13,74 +78,583 @@ class DrawingStateManager {
    */
   _getRoomState(roomId) {
     if (!this.roomStates.has(roomId)) {
-      this.roomStates.set(roomId, {
-        operations: [],      // All drawing operations
-        undoStack: [],       // Operations that have been undone
-        operationIndex: {}   // Quick lookup for operations by ID
-      });
+      this.roomStates.set(roomId, this._createRoomState());
     }
     return this.roomStates.get(roomId);
   }
   
   /**
-   * Add a drawing operation to the state
+   * Create an empty room state
+   */
+  _createRoomState() {
+    return {
+      operations: [],      // All drawing operations
+      history: {},         // Undoable actions per user, newest last
+      redoStacks: {},      // Undone actions per user, ready to redo
+      operationIndex: new Map(),  // Position of each operation by ID
+      layers: [            // Layer stack, bottom first
+        { id: DEFAULT_LAYER_ID, name: 'Layer 1', visible: true, locked: false }
+      ],
+      versions: [],        // Saved copies of the operation list, oldest first
+      changedSinceVersion: false,
+      epoch: `${Date.now().toString(36)}-${Math.random().toString(36).substring(2, 8)}`,
+      seq: 0,              // Sequence number of the latest broadcast change
+      changeLog: [],       // Recent broadcast changes, oldest first
+      access: null,        // Password, roles and invites (see access.js)
+      chat: [],            // Latest chat messages, oldest first
+      journalLength: 0     // Entries written since the last snapshot
+    };
+  }
+  
+  /**
+   * Load a room from storage if it is not already in memory
+   * Safe to call repeatedly; concurrent calls share one load
+   */
+  loadRoom(roomId) {
+    if (this.roomStates.has(roomId)) {
+      return Promise.resolve(this.roomStates.get(roomId));
+    }
+    
+    if (!this.loadingRooms.has(roomId)) {
+      const loading = this.storage.load(roomId)
+        .then(stored => {
+          // Another caller may have created the room while we were reading
+          if (this.roomStates.has(roomId)) {
+            return this.roomStates.get(roomId);
+          }
+          
+          const state = this._createRoomState();
+          
+          if (stored) {
+            if (stored.snapshot) {
+              state.operations = stored.snapshot.operations || [];
+              state.history = stored.snapshot.history || {};
+              state.redoStacks = stored.snapshot.redoStacks || {};
+              if (stored.snapshot.layers) {
+                state.layers = stored.snapshot.layers;
+              }
+              state.versions = unpackVersions(state.operations, stored.snapshot);
+              state.access = stored.snapshot.access || null;
+              state.chat = stored.snapshot.chat || [];
+              this._rebuildIndex(state);
+            }
+            
+            stored.entries.forEach(entry => this._applyEntry(state, entry));
+            state.journalLength = stored.entries.length;
+            
+            // Whatever changed before the restart had its chance to be saved
+            state.changedSinceVersion = false;
+            
+            // Rooms saved before layers existed keep everything on the default layer
+            state.operations.forEach(op => {
+              if (!op.layerId) {
+                op.layerId = DEFAULT_LAYER_ID;
+              }
+            });
+          }
+          
+          this.roomStates.set(roomId, state);
+          
+          // A long journal (e.g. from before a crash) is folded in right away
+          if (state.journalLength >= COMPACT_AFTER_ENTRIES) {
+            this._compact(roomId, state);
+          }
+          return state;
+        })
+        .finally(() => {
+          this.loadingRooms.delete(roomId);
+        });
+      
+      this.loadingRooms.set(roomId, loading);
+    }
+    
+    return this.loadingRooms.get(roomId);
+  }
+  
+  /**
+   * Whether a room is in memory or in storage, without creating it
+   */
+  async hasRoom(roomId) {
+    return this.roomStates.has(roomId) || this.storage.exists(roomId);
+  }
+  
+  /**
+   * Ids of the rooms currently in memory
+   */
+  getRoomIds() {
+    return Array.from(this.roomStates.keys());
+  }
+  
+  /**
+   * Write a room to storage as a snapshot and drop it from memory
+   * The next loadRoom() reads it back
+   */
+  unloadRoom(roomId) {
+    const state = this.roomStates.get(roomId);
+    if (!state) return Promise.resolve();
+    
+    // Changes since the last version would lose their autosave otherwise
+    if (state.changedSinceVersion && state.operations.length > 0) {
+      this.saveVersion(roomId, { name: 'Autosave', auto: true });
+    }
+    
+    this.roomStates.delete(roomId);
+    return this._compact(roomId, state);
+  }
+  
+  /**
+   * Write every room to storage as a snapshot and wait for pending writes
+   * Called on graceful shutdown
+   */
+  async flush() {
+    const writes = [];
+    
+    this.roomStates.forEach((state, roomId) => {
+      writes.push(this._compact(roomId, state));
+    });
+    
+    await Promise.all(writes);
+    await this.storage.close();
+  }
+  
+  /**
+   * Replace a room's journal with a snapshot of its current state
    */
-  addOperation(roomId, operation) {
+  _compact(roomId, state) {
+    state.journalLength = 0;
+    
+    return this.storage.compact(roomId, {
+      operations: state.operations,
+      history: state.history,
+      redoStacks: state.redoStacks,
+      layers: state.layers,
+      ...packVersions(state.operations, state.versions),
+      access: state.access,
+      chat: state.chat
+    });
+  }
+  
+  /**
+   * Record a change in the storage journal
+   */
+  _persist(roomId, entry) {
     const state = this._getRoomState(roomId);
     
-    // When a new operation is added, clear the undo stack
-    // This is standard undo/redo behavior
-    state.undoStack = [];
+    // Anything but versions, access, chat and layer changes alters the operation list
+    if (!['version', 'access', 'chat'].includes(entry.type) && !entry.type.startsWith('layer-')) {
+      state.changedSinceVersion = true;
+    }
     
-    // Add operation to the list
-    state.operations.push(operation);
-    state.operationIndex[operation.id] = state.operations.length - 1;
+    this.storage.append(roomId, entry);
+    
+    state.journalLength++;
+    if (state.journalLength >= COMPACT_AFTER_ENTRIES) {
+      this._compact(roomId, state);
+    }
+  }
+  
+  /**
+   * Re-apply a journal entry while loading a room
+   */
+  _applyEntry(state, entry) {
+    switch (entry.type) {
+      case 'add':
+        // Entries from before histories had their own id use the author's
+        this._applyAdd(state, entry.operation, entry.userId || entry.operation.userId);
+        break;
+      case 'undo':
+        this._applyUndo(state, entry.userId);
+        break;
+      case 'redo':
+        this._applyRedo(state, entry.userId);
+        break;
+      case 'import':
+        this._applyImport(state, entry.userId, entry.operations, entry.mode);
+        break;
+      case 'action':
+        this._doAction(state, entry.userId, entry.changes);
+        break;
+      case 'clear':
+        this._applyClear(state);
+        break;
+      case 'version':
+        this._applyVersion(state, entry.version);
+        break;
+      case 'access':
+        state.access = entry.access;
+        break;
+      case 'chat':
+        this._applyChatMessage(state, entry.message);
+        break;
+      case 'remove':
+        this._applyRemove(state, entry.operationId, entry.userId);
+        break;
+      case 'update':
+        this._applyUpdate(state, entry.operationId, entry.changes, entry.userId);
+        break;
+      case 'layer-add':
+        this._applyAddLayer(state, entry.layer);
+        break;
+      case 'layer-update':
+        this._applyUpdateLayer(state, entry.layerId, entry.changes);
+        break;
+      case 'layer-move':
+        this._applyMoveLayer(state, entry.layerId, entry.index);
+        break;
+      case 'layer-remove':
+        this._applyRemoveLayer(state, entry.layerId);
+        break;
+      default:
+        console.warn(`Unknown journal entry type: ${entry.type}`);
+    }
+  }
+  
+  /**
+   * Add a drawing operation to the state, as an undoable action of userId
+   */
+  addOperation(roomId, operation, userId) {
+    const state = this._getRoomState(roomId);
+    
+    this._applyAdd(state, operation, userId);
+    this._persist(roomId, { type: 'add', operation, userId });
     
     return operation;
   }
   
+  _applyAdd(state, operation, userId) {
+    this._doAction(state, userId, [{ type: 'add', operation }]);
+  }
+  
   /**
-   * Undo the last operation
-   * Returns the undone operation or null if nothing to undo
+   * Add a list of operations as one undoable action
+   * mode 'merge' draws them on top of the board, 'replace' removes
+   * everything that was there first, except on locked layers
+   * Returns the room's operations after the import
    */
-  undo(roomId) {
+  importOperations(roomId, userId, operations, mode = 'merge') {
     const state = this._getRoomState(roomId);
     
-    if (state.operations.length === 0) {
-      return null;
+    this._applyImport(state, userId, operations, mode);
+    this._persist(roomId, { type: 'import', userId, mode, operations });
+    
+    return state.operations;
+  }
+  
+  _applyImport(state, userId, operations, mode) {
+    const changes = [];
+    
+    if (mode === 'replace') {
+      state.operations.forEach(op => {
+        if (this._isLocked(state, op)) return;
+        changes.push({ type: 'remove', operationId: op.id });
+      });
     }
+    operations.forEach(operation => {
+      changes.push({ type: 'add', operation });
+    });
     
-    // Remove the last operation
-    const operation = state.operations.pop();
+    this._doAction(state, userId, changes);
+  }
+  
+  /**
+   * Apply a list of changes as one undoable action by userId, e.g. moving
+   * a selection or deleting several operations at once
+   * changes: { type: 'add', operation } | { type: 'remove', operationId }
+   *        | { type: 'update', operationId, changes }
+   * Returns the changes that took effect (see _applyChange)
+   */
+  applyAction(roomId, userId, changes) {
+    const state = this._getRoomState(roomId);
+    const applied = this._doAction(state, userId, changes);
     
-    // Add to undo stack for potential redo
-    state.undoStack.push(operation);
+    if (applied.length > 0) {
+      this._persist(roomId, { type: 'action', userId, changes });
+    }
     
-    // Update index
-    delete state.operationIndex[operation.id];
+    return applied;
+  }
+  
+  /**
+   * Undo a user's most recent action, wherever its operations now sit
+   * space is how many operations the room may still gain; an action that
+   * would add more stays undone
+   * Returns the applied changes (see _applyChange) or null if the user
+   * has nothing to undo
+   */
+  undo(roomId, userId, space = Infinity) {
+    const state = this._getRoomState(roomId);
+    const applied = this._applyUndo(state, userId, space);
     
-    return operation;
+    if (applied) {
+      this._persist(roomId, { type: 'undo', userId });
+    }
+    
+    return applied;
+  }
+  
+  _applyUndo(state, userId, space = Infinity) {
+    return this._moveAction(state, state.history, state.redoStacks, userId, space);
   }
   
   /**
-   * Redo the last undone operation
-   * Returns the redone operation or null if nothing to redo
+   * Redo a user's most recently undone action
+   * Operations go back after the operation that preceded them
+   * Returns the applied changes or null if the user has nothing to redo
+   * (or it would add more than space operations)
    */
-  redo(roomId) {
+  redo(roomId, userId, space = Infinity) {
     const state = this._getRoomState(roomId);
+    const applied = this._applyRedo(state, userId, space);
     
-    if (state.undoStack.length === 0) {
-      return null;
+    if (applied) {
+      this._persist(roomId, { type: 'redo', userId });
     }
     
-    // Get operation from undo stack
-    const operation = state.undoStack.pop();
+    return applied;
+  }
+  
+  _applyRedo(state, userId, space = Infinity) {
+    return this._moveAction(state, state.redoStacks, state.history, userId, space);
+  }
+  
+  /**
+   * Apply a new action and record it in the user's history
+   * A new action clears its author's redo stack only; other users can
+   * still redo what they undid
+   */
+  _doAction(state, userId, changes) {
+    const { inverse, applied } = this._applyChanges(state, changes);
     
-    // Add back to operations
-    state.operations.push(operation);
-    state.operationIndex[operation.id] = state.operations.length - 1;
+    if (userId) {
+      delete state.redoStacks[userId];
+      this._pushAction(state.history, userId, inverse);
+    }
     
-    return operation;
+    return applied;
+  }
+  
+  /**
+   * Pop the newest action from one stack, apply it and push its inverse
+   * onto the other. Actions whose operations are all gone (removed by
+   * someone else, cleared) are skipped. An action touching a locked layer,
+   * or adding more than space operations, stays on the stack
+   */
+  _moveAction(state, from, to, userId, space) {
+    const stack = from[userId];
+    
+    while (stack && stack.length > 0) {
+      const next = stack[stack.length - 1];
+      if (this._touchesLockedLayer(state, next) || this._countGrowth(state, next) > space) {
+        return null;
+      }
+      
+      const changes = stack.pop();
+      const { inverse, applied } = this._applyChanges(state, changes);
+      
+      if (applied.length > 0) {
+        if (stack.length === 0) {
+          delete from[userId];
+        }
+        this._pushAction(to, userId, inverse);
+        return applied;
+      }
+    }
+    
+    delete from[userId];
+    return null;
+  }
+  
+  _pushAction(stacks, userId, changes) {
+    if (changes.length === 0) return;
+    
+    if (!stacks[userId]) {
+      stacks[userId] = [];
+    }
+    stacks[userId].push(changes);
+    
+    if (stacks[userId].length > MAX_HISTORY) {
+      stacks[userId].shift();
+    }
+  }
+  
+  /**
+   * Whether an operation is on a locked layer. Operations whose layer was
+   * deleted count as on the bottom layer
+   */
+  _isLocked(state, operation) {
+    const layer = state.layers.find(l => l.id === operation.layerId) || state.layers[0];
+    return Boolean(layer && layer.locked);
+  }
+  
+  /**
+   * Whether changes would alter content on a locked layer or move
+   * content onto one
+   */
+  _touchesLockedLayer(state, changes) {
+    return changes.some(change => {
+      if (change.type === 'add') {
+        return this._isLocked(state, change.operation);
+      }
+      
+      const operation = state.operations[this._findIndex(state, change.operationId)];
+      if (operation && this._isLocked(state, operation)) return true;
+      
+      return change.type === 'update' && 'layerId' in change.changes &&
+        this._isLocked(state, change.changes);
+    });
+  }
+  
+  /**
+   * How many operations the room would gain (or lose, below zero) by
+   * applying changes
+   */
+  _countGrowth(state, changes) {
+    const present = new Map();
+    let growth = 0;
+    
+    changes.forEach(change => {
+      const id = change.type === 'add' ? change.operation.id : change.operationId;
+      const exists = present.has(id) ? present.get(id) : state.operationIndex.has(id);
+      
+      if (change.type === 'add' && !exists) {
+        growth++;
+        present.set(id, true);
+      } else if (change.type === 'remove' && exists) {
+        growth--;
+        present.set(id, false);
+      }
+    });
+    
+    return growth;
+  }
+  
+  /**
+   * Apply changes in order
+   * Returns the changes that took effect and their inverses, in the order
+   * the inverses have to be applied to revert them
+   */
+  _applyChanges(state, changes) {
+    const inverse = [];
+    const applied = [];
+    
+    // Lowest position an insert or remove shifted; appends (every draw)
+    // already got their index, so often nothing has to be reindexed
+    let shiftedFrom = Infinity;
+    
+    changes.forEach(change => {
+      const result = this._applyChange(state, change);
+      if (result) {
+        inverse.unshift(result.inverse);
+        applied.push(result.applied);
+        
+        if (result.applied.type === 'add' && result.applied.index < state.operations.length - 1) {
+          shiftedFrom = Math.min(shiftedFrom, result.applied.index);
+        } else if (result.applied.type === 'remove') {
+          shiftedFrom = Math.min(shiftedFrom, result.inverse.index);
+        }
+      }
+    });
+    
+    if (shiftedFrom < state.operations.length) {
+      this._rebuildIndex(state, shiftedFrom);
+    }
+    
+    return { inverse, applied };
+  }
+  
+  /**
+   * Apply a single change
+   *   { type: 'add', operation, afterId?, index? }
+   *   { type: 'remove', operationId }
+   *   { type: 'update', operationId, changes }
+   * Returns { inverse, applied } or null if it no longer applies.
+   * `applied` is what clients need to mirror it:
+   *   { type: 'add', operation, index } | { type: 'remove', operationId }
+   *   | { type: 'update', operation }
+   */
+  _applyChange(state, change) {
+    switch (change.type) {
+      case 'add': {
+        if (state.operationIndex.has(change.operation.id)) return null;
+        
+        // Put it back after the operation that preceded it. If that one
+        // is gone too, fall back to the remembered index
+        let index = state.operations.length;
+        if (change.afterId === null) {
+          index = 0;
+        } else if (change.afterId !== undefined) {
+          const afterIndex = this._findIndex(state, change.afterId);
+          index = afterIndex !== -1
+            ? afterIndex + 1
+            : Math.min(change.index, state.operations.length);
+        }
+        
+        state.operations.splice(index, 0, change.operation);
+        state.operationIndex.set(change.operation.id, index);
+        
+        return {
+          inverse: { type: 'remove', operationId: change.operation.id },
+          applied: { type: 'add', operation: change.operation, index }
+        };
+      }
+      
+      case 'remove': {
+        const index = this._findIndex(state, change.operationId);
+        if (index === -1) return null;
+        
+        // Remember the neighbour so the inverse restores the same place
+        const previous = state.operations[index - 1];
+        const [operation] = state.operations.splice(index, 1);
+        state.operationIndex.delete(operation.id);
+        
+        return {
+          inverse: {
+            type: 'add',
+            operation,
+            afterId: previous ? previous.id : null,
+            index
+          },
+          applied: { type: 'remove', operationId: operation.id }
+        };
+      }
+      
+      case 'update': {
+        const index = this._findIndex(state, change.operationId);
+        if (index === -1) return null;
+        
+        // Only the changed fields are reverted, so other users' edits to
+        // different fields survive an undo. Missing fields revert to null
+        const current = state.operations[index];
+        const previous = {};
+        Object.keys(change.changes).forEach(field => {
+          previous[field] = current[field] === undefined ? null : current[field];
+        });
+        
+        // Replace rather than mutate so earlier references stay unchanged
+        const operation = { ...current, ...change.changes };
+        state.operations[index] = operation;
+        
+        return {
+          inverse: { type: 'update', operationId: operation.id, changes: previous },
+          applied: { type: 'update', operation }
+        };
+      }
+      
+      default:
+        return null;
+    }
+  }
+  
+  /**
+   * Position of an operation. While a batch of changes is applied the
+   * index tells which operations exist but positions may be stale
+   */
+  _findIndex(state, operationId) {
+    const index = state.operationIndex.get(operationId);
+    if (index !== undefined && state.operations[index] && state.operations[index].id === operationId) {
+      return index;
+    }
+    return state.operations.findIndex(op => op.id === operationId);
   }
   
   /**
@@ -91,13 +665,28 @@ class DrawingStateManager {
   }
   
   /**
-   * Clear all operations for a room
+   * Clear all operations for a room, except those on locked layers
+   * What was there is saved as a version first, so a clear can be restored
+   * Returns the ids of the layers whose content was kept
    */
   clearState(roomId) {
     const state = this._getRoomState(roomId);
-    state.operations = [];
-    state.undoStack = [];
-    state.operationIndex = {};
+    
+    if (state.operations.some(op => !this._isLocked(state, op)) && !this._matchesLatestVersion(state)) {
+      this.saveVersion(roomId, { name: 'Before clear', auto: true });
+    }
+    
+    this._applyClear(state);
+    this._persist(roomId, { type: 'clear' });
+    
+    return state.layers.filter(layer => layer.locked).map(layer => layer.id);
+  }
+  
+  _applyClear(state) {
+    state.operations = state.operations.filter(op => this._isLocked(state, op));
+    state.history = {};
+    state.redoStacks = {};
+    this._rebuildIndex(state);
   }
   
   /**
@@ -105,7 +694,7 @@ class DrawingStateManager {
    */
   getOperation(roomId, operationId) {
     const state = this._getRoomState(roomId);
-    const index = state.operationIndex[operationId];
+    const index = state.operationIndex.get(operationId);
     
     if (index !== undefined) {
       return state.operations[index];
@@ -115,30 +704,387 @@ class DrawingStateManager {
   }
   
   /**
-   * Remove a specific operation (used for conflict resolution)
+   * Change fields of a stored operation (e.g. edited text)
+   * With a userId the change is recorded in that user's undo history
+   * Returns the updated operation or null if it does not exist
    */
-  removeOperation(roomId, operationId) {
+  updateOperation(roomId, operationId, changes, userId = null) {
     const state = this._getRoomState(roomId);
-    const index = state.operationIndex[operationId];
+    const operation = this._applyUpdate(state, operationId, changes, userId);
     
-    if (index !== undefined) {
-      state.operations.splice(index, 1);
-      delete state.operationIndex[operationId];
-      
-      // Rebuild index after removal
-      this._rebuildIndex(state);
+    if (operation) {
+      this._persist(roomId, { type: 'update', operationId, changes, userId });
     }
+    
+    return operation;
+  }
+  
+  _applyUpdate(state, operationId, changes, userId) {
+    const [applied] = this._doAction(state, userId, [
+      { type: 'update', operationId, changes }
+    ]);
+    
+    return applied ? applied.operation : null;
   }
   
   /**
-   * Rebuild operation index after modifications
+   * Journals written before erasing went through applyAction() still
+   * have single removals
    */
-  _rebuildIndex(state) {
-    state.operationIndex = {};
-    state.operations.forEach((op, index) => {
-      state.operationIndex[op.id] = index;
+  _applyRemove(state, operationId, userId) {
+    const applied = this._doAction(state, userId, [
+      { type: 'remove', operationId }
+    ]);
+    
+    return applied.length > 0;
+  }
+  
+  /**
+   * Save a copy of the room's operations
+   * options: { name, auto, userId, username }; auto marks versions the
+   * server made on its own
+   */
+  saveVersion(roomId, options) {
+    const state = this._getRoomState(roomId);
+    const details = {
+      id: `v-${Date.now().toString(36)}-${Math.random().toString(36).substring(2, 8)}`,
+      name: options.name,
+      auto: Boolean(options.auto),
+      createdAt: Date.now(),
+      userId: options.userId || null,
+      username: options.username || null
+    };
+    
+    const version = this._applyVersion(state, details);
+    this._persist(roomId, { type: 'version', version: details });
+    
+    return version;
+  }
+  
+  /**
+   * Add a version of the board as it is now (journals from before versions
+   * were stored without operations carry their own)
+   */
+  _applyVersion(state, details) {
+    const version = { ...details, operations: details.operations || state.operations.slice() };
+    
+    state.versions.push(version);
+    state.changedSinceVersion = false;
+    
+    while (state.versions.length > MAX_VERSIONS ||
+        (state.versions.length > 1 && this._countVersionOnly(state) > MAX_VERSION_OPERATIONS)) {
+      // The version just saved always stays
+      const autoIndex = state.versions.findIndex((saved, index) =>
+        saved.auto && index < state.versions.length - 1
+      );
+      state.versions.splice(autoIndex === -1 ? 0 : autoIndex, 1);
+    }
+    
+    return version;
+  }
+  
+  /**
+   * Number of operations that only versions hold
+   */
+  _countVersionOnly(state) {
+    const onBoard = new Set(state.operations);
+    const kept = new Set();
+    
+    state.versions.forEach(version => {
+      version.operations.forEach(op => {
+        if (!onBoard.has(op)) kept.add(op);
+      });
     });
+    
+    return kept.size;
+  }
+  
+  /**
+   * Whether the newest version shows exactly the board as it is now
+   */
+  _matchesLatestVersion(state) {
+    const latest = state.versions[state.versions.length - 1];
+    
+    return Boolean(latest) && latest.operations.length === state.operations.length &&
+      latest.operations.every((op, index) => op === state.operations[index]);
+  }
+  
+  /**
+   * Save a version of every loaded room that changed since its last one
+   * Returns the ids of the rooms that got a version
+   */
+  saveAutoVersions(name) {
+    const saved = [];
+    
+    this.roomStates.forEach((state, roomId) => {
+      if (!state.changedSinceVersion || state.operations.length === 0) return;
+      
+      this.saveVersion(roomId, { name, auto: true });
+      saved.push(roomId);
+    });
+    
+    return saved;
+  }
+  
+  /**
+   * Saved versions of a room, oldest first
+   */
+  getVersions(roomId) {
+    return this._getRoomState(roomId).versions;
+  }
+  
+  getVersion(roomId, versionId) {
+    return this.getVersions(roomId).find(version => version.id === versionId) || null;
+  }
+  
+  /**
+   * Replace the room's operations outside locked layers with a saved
+   * version as one undoable action by userId
+   * Returns the applied changes, or null if the version does not exist or
+   * would add more than space operations
+   */
+  restoreVersion(roomId, versionId, userId, space = Infinity) {
+    const version = this.getVersion(roomId, versionId);
+    if (!version) return null;
+    
+    // Locked layers keep what they have now
+    const state = this._getRoomState(roomId);
+    const changes = state.operations
+      .filter(op => !this._isLocked(state, op))
+      .map(op => ({ type: 'remove', operationId: op.id }));
+    version.operations.forEach(operation => {
+      if (this._isLocked(state, operation)) return;
+      changes.push({ type: 'add', operation });
+    });
+    
+    if (this._countGrowth(state, changes) > space) return null;
+    
+    return this.applyAction(roomId, userId, changes);
+  }
+  
+  /**
+   * Number a change that is about to be broadcast and remember it
+   * Returns its sequence number
+   */
+  recordChange(roomId, event, data) {
+    const state = this._getRoomState(roomId);
+    const seq = ++state.seq;
+    
+    state.changeLog.push({ seq, event, data });
+    if (state.changeLog.length > MAX_CHANGE_LOG) {
+      state.changeLog.shift();
+    }
+    
+    return seq;
+  }
+  
+  /**
+   * Changes a client missed after the last one it saw
+   * Returns null if they can't be told apart any more (another epoch or
+   * too far behind); the client then needs the full state
+   */
+  getChangesSince(roomId, epoch, seq) {
+    const state = this._getRoomState(roomId);
+    
+    if (epoch !== state.epoch || !Number.isInteger(seq) || seq < 0 || seq > state.seq) {
+      return null;
+    }
+    
+    const missed = state.changeLog.filter(change => change.seq > seq);
+    if (missed.length !== state.seq - seq) return null;
+    
+    return missed;
+  }
+  
+  /**
+   * Access settings of a room, or null if nobody has set it up yet
+   */
+  getAccess(roomId) {
+    return this._getRoomState(roomId).access;
+  }
+  
+  /**
+   * Replace a room's access settings
+   */
+  setAccess(roomId, access) {
+    this._getRoomState(roomId).access = access;
+    this._persist(roomId, { type: 'access', access });
+  }
+  
+  /**
+   * Latest chat messages of a room, oldest first
+   */
+  getChatMessages(roomId) {
+    return this._getRoomState(roomId).chat;
+  }
+  
+  /**
+   * Add a chat message; the oldest ones go once there are too many
+   */
+  addChatMessage(roomId, message) {
+    this._applyChatMessage(this._getRoomState(roomId), message);
+    this._persist(roomId, { type: 'chat', message });
   }
+  
+  _applyChatMessage(state, message) {
+    state.chat.push(message);
+    if (state.chat.length > MAX_CHAT_MESSAGES) {
+      state.chat.shift();
+    }
+  }
+  
+  /**
+   * Layers of a room, bottom first
+   */
+  getLayers(roomId) {
+    return this._getRoomState(roomId).layers;
+  }
+  
+  getLayer(roomId, layerId) {
+    return this.getLayers(roomId).find(layer => layer.id === layerId) || null;
+  }
+  
+  /**
+   * Add a layer on top of the stack
+   */
+  addLayer(roomId, layer) {
+    const state = this._getRoomState(roomId);
+    
+    this._applyAddLayer(state, layer);
+    this._persist(roomId, { type: 'layer-add', layer });
+    
+    return layer;
+  }
+  
+  _applyAddLayer(state, layer) {
+    state.layers.push(layer);
+  }
+  
+  /**
+   * Rename, hide/show or lock/unlock a layer
+   * Returns the updated layer or null if it does not exist
+   */
+  updateLayer(roomId, layerId, changes) {
+    const state = this._getRoomState(roomId);
+    const layer = this._applyUpdateLayer(state, layerId, changes);
+    
+    if (layer) {
+      this._persist(roomId, { type: 'layer-update', layerId, changes });
+    }
+    
+    return layer;
+  }
+  
+  _applyUpdateLayer(state, layerId, changes) {
+    const index = state.layers.findIndex(layer => layer.id === layerId);
+    if (index === -1) return null;
+    
+    state.layers[index] = { ...state.layers[index], ...changes };
+    return state.layers[index];
+  }
+  
+  /**
+   * Move a layer to a new position in the stack (0 is the bottom)
+   */
+  moveLayer(roomId, layerId, index) {
+    const state = this._getRoomState(roomId);
+    
+    if (this._applyMoveLayer(state, layerId, index)) {
+      this._persist(roomId, { type: 'layer-move', layerId, index });
+      return true;
+    }
+    
+    return false;
+  }
+  
+  _applyMoveLayer(state, layerId, index) {
+    const from = state.layers.findIndex(layer => layer.id === layerId);
+    if (from === -1) return false;
+    
+    const [layer] = state.layers.splice(from, 1);
+    state.layers.splice(Math.max(0, Math.min(index, state.layers.length)), 0, layer);
+    return true;
+  }
+  
+  /**
+   * Delete an empty layer; the last remaining layer can't be deleted
+   * Returns false if the layer was not removed
+   */
+  removeLayer(roomId, layerId) {
+    const state = this._getRoomState(roomId);
+    
+    if (state.operations.some(op => op.layerId === layerId)) {
+      return false;
+    }
+    
+    if (this._applyRemoveLayer(state, layerId)) {
+      this._persist(roomId, { type: 'layer-remove', layerId });
+      return true;
+    }
+    
+    return false;
+  }
+  
+  _applyRemoveLayer(state, layerId) {
+    const index = state.layers.findIndex(layer => layer.id === layerId);
+    if (index === -1 || state.layers.length === 1) return false;
+    
+    state.layers.splice(index, 1);
+    return true;
+  }
+  
+  /**
+   * Rebuild operation index after modifications, from a position on if
+   * the operations before it did not move. It is a Map because ids come
+   * from clients, and an object would already "contain" `constructor`
+   */
+  _rebuildIndex(state, from = 0) {
+    if (from === 0) {
+      state.operationIndex = new Map();
+    }
+    for (let index = from; index < state.operations.length; index++) {
+      state.operationIndex.set(state.operations[index].id, index);
+    }
+  }
+}
+
+/**
+ * Versions for a snapshot. Each operation is written once: a version lists
+ * indexes, n >= 0 for operations[n] on the board, -n - 1 for entry n of
+ * versionOperations (operations only versions hold)
+ */
+function packVersions(operations, versions) {
+  const refs = new Map(operations.map((op, index) => [op, index]));
+  const versionOperations = [];
+  
+  const packed = versions.map(version => ({
+    ...version,
+    operations: version.operations.map(op => {
+      if (!refs.has(op)) {
+        versionOperations.push(op);
+        refs.set(op, -versionOperations.length);
+      }
+      return refs.get(op);
+    })
+  }));
+  
+  return { versions: packed, versionOperations };
+}
+
+/**
+ * Versions from a snapshot, sharing operation objects again. Snapshots from
+ * before versions were packed hold full copies
+ */
+function unpackVersions(operations, snapshot) {
+  const versions = snapshot.versions || [];
+  if (!snapshot.versionOperations) return versions;
+  
+  return versions.map(version => ({
+    ...version,
+    operations: version.operations.map(ref =>
+      ref >= 0 ? operations[ref] : snapshot.versionOperations[-ref - 1]
+    )
+  }));
 }
 
 module.exports = DrawingStateManager;
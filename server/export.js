@@ -0,0 +1,337 @@
+/**
+ * Export helpers
+ * Turn a room's operation list into SVG or a JSON document
+ */
+const StrokeSmoothing = require('../shared/stroke-smoothing');
+
+// Mirrors the client's text rendering (canvas.js)
+const TEXT_FONT_FAMILY = 'Helvetica, Arial, sans-serif';
+const TEXT_LINE_HEIGHT = 1.25;
+
+// Without a canvas to measure text, assume an average glyph width
+const AVERAGE_CHAR_WIDTH = 0.6;
+
+// Space around the content in exported images
+const EXPORT_PADDING = 20;
+
+// Mirrors the client's pressure-sensitive stroke width (canvas.js)
+const MIN_PRESSURE_WIDTH = 0.2;
+
+// Used when there is nothing to draw
+const EMPTY_BOUNDS = { minX: 0, minY: 0, maxX: 1600, maxY: 900 };
+
+const EXPORT_VERSION = 1;
+
+/**
+ * Build the JSON export document for a room
+ */
+function toJSON(roomId, operations) {
+  return {
+    version: EXPORT_VERSION,
+    roomId: roomId,
+    exportedAt: new Date().toISOString(),
+    operations: operations
+  };
+}
+
+/**
+ * Render operations as a standalone SVG document
+ * options.background: a color to fill behind the drawing (default none)
+ * options.layers: the room's layer stack; hidden layers are left out
+ */
+function toSVG(operations, options = {}) {
+  const layerGroups = groupByLayer(operations, options.layers);
+  const visible = [].concat(...layerGroups).map(entry => entry.op);
+
+  const bounds = getContentBounds(visible) || EMPTY_BOUNDS;
+  const x = bounds.minX - EXPORT_PADDING;
+  const y = bounds.minY - EXPORT_PADDING;
+  const width = bounds.maxX - bounds.minX + EXPORT_PADDING * 2;
+  const height = bounds.maxY - bounds.minY + EXPORT_PADDING * 2;
+
+  // The eraser removes what was drawn before it on the same layer. Each
+  // eraser stroke becomes a mask over everything drawn so far in its
+  // layer, so nesting the groups reproduces the canvas' destination-out
+  // compositing
+  const masks = [];
+  let content = '';
+
+  layerGroups.forEach(entries => {
+    let layerContent = '';
+
+    entries.forEach(({ op, index }) => {
+      if (op.tool === 'eraser') {
+        const maskId = `erase-${index}`;
+        masks.push(
+          `<mask id="${maskId}" maskUnits="userSpaceOnUse" x="${x}" y="${y}" width="${width}" height="${height}">` +
+          `<rect x="${x}" y="${y}" width="${width}" height="${height}" fill="white"/>` +
+          withTransform(op, pathElement(op, '#000000')) +
+          '</mask>'
+        );
+        layerContent = `<g mask="url(#${maskId})">${layerContent}</g>`;
+      } else {
+        layerContent += withTransform(op, operationElement(op));
+      }
+    });
+
+    content += `<g>${layerContent}</g>`;
+  });
+
+  const background = options.background
+    ? `<rect x="${x}" y="${y}" width="${width}" height="${height}" fill="${escapeXML(options.background)}"/>`
+    : '';
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<svg xmlns="http://www.w3.org/2000/svg" viewBox="${x} ${y} ${width} ${height}" width="${width}" height="${height}">`,
+    masks.length > 0 ? `<defs>${masks.join('')}</defs>` : '',
+    background,
+    content,
+    '</svg>'
+  ].join('\n');
+}
+
+/**
+ * Split operations into visible layers, bottom first, keeping each
+ * operation's position in the full list. Without layers everything is
+ * one group. Operations on a deleted layer belong to the bottom layer
+ */
+function groupByLayer(operations, layers) {
+  const entries = operations.map((op, index) => ({ op, index }));
+
+  if (!layers || layers.length === 0) {
+    return [entries];
+  }
+
+  const known = new Set(layers.map(layer => layer.id));
+  const layerOf = op => known.has(op.layerId) ? op.layerId : layers[0].id;
+
+  return layers
+    .filter(layer => layer.visible)
+    .map(layer => entries.filter(entry => layerOf(entry.op) === layer.id));
+}
+
+/**
+ * SVG element for a non-eraser operation
+ */
+function operationElement(op) {
+  switch (op.tool) {
+    case 'brush':
+      return pathElement(op, op.color);
+    case 'line':
+      return lineElement(op);
+    case 'arrow':
+      return arrowElement(op);
+    case 'rectangle':
+      return rectangleElement(op);
+    case 'ellipse':
+      return ellipseElement(op);
+    case 'text':
+      return textElement(op);
+    default:
+      return '';
+  }
+}
+
+/**
+ * Wrap an element in the operation's transform (moved/scaled/rotated)
+ */
+function withTransform(op, element) {
+  if (!op.transform) return element;
+  return `<g transform="matrix(${op.transform.join(' ')})">${element}</g>`;
+}
+
+function strokeAttributes(color, strokeWidth) {
+  return `stroke="${escapeXML(color)}" stroke-width="${strokeWidth}" ` +
+    'stroke-linecap="round" stroke-linejoin="round"';
+}
+
+function pathElement(op, color) {
+  // Smoothed the same way as on the canvas
+  const points = StrokeSmoothing.smoothPoints(op.points, op.smoothing);
+
+  if (points.length > 1 && points[0].p !== undefined) {
+    return pressurePathElement(points, op.strokeWidth, color);
+  }
+
+  const [first, ...rest] = points;
+  let d = `M${first.x} ${first.y}`;
+
+  // A single point still shows as a dot
+  if (rest.length === 0) {
+    d += ` L${first.x} ${first.y}`;
+  }
+  rest.forEach(point => {
+    d += ` L${point.x} ${point.y}`;
+  });
+
+  return `<path d="${d}" fill="none" ${strokeAttributes(color, op.strokeWidth)}/>`;
+}
+
+/**
+ * Pen strokes change width along the way, so each segment is its own line
+ */
+function pressurePathElement(points, strokeWidth, color) {
+  let lines = '';
+
+  for (let i = 1; i < points.length; i++) {
+    const a = points[i - 1];
+    const b = points[i];
+    const pressure = (a.p + b.p) / 2;
+    const width = strokeWidth * (MIN_PRESSURE_WIDTH + (1 - MIN_PRESSURE_WIDTH) * pressure);
+    lines += `<line x1="${a.x}" y1="${a.y}" x2="${b.x}" y2="${b.y}" stroke-width="${width}"/>`;
+  }
+
+  return `<g fill="none" stroke="${escapeXML(color)}" stroke-linecap="round">${lines}</g>`;
+}
+
+function lineElement(op) {
+  const [start, end] = op.points;
+  return `<line x1="${start.x}" y1="${start.y}" x2="${end.x}" y2="${end.y}" ` +
+    `${strokeAttributes(op.color, op.strokeWidth)}/>`;
+}
+
+function arrowElement(op) {
+  const [start, end] = op.points;
+
+  // Same head geometry as CanvasManager.drawShape
+  const angle = Math.atan2(end.y - start.y, end.x - start.x);
+  const headLength = Math.max(12, op.strokeWidth * 3);
+  const spread = Math.PI / 7;
+  const left = {
+    x: end.x - headLength * Math.cos(angle - spread),
+    y: end.y - headLength * Math.sin(angle - spread)
+  };
+  const right = {
+    x: end.x - headLength * Math.cos(angle + spread),
+    y: end.y - headLength * Math.sin(angle + spread)
+  };
+
+  const d = `M${start.x} ${start.y} L${end.x} ${end.y} ` +
+    `M${left.x} ${left.y} L${end.x} ${end.y} L${right.x} ${right.y}`;
+
+  return `<path d="${d}" fill="none" ${strokeAttributes(op.color, op.strokeWidth)}/>`;
+}
+
+function rectangleElement(op) {
+  const [start, end] = op.points;
+  return `<rect x="${Math.min(start.x, end.x)}" y="${Math.min(start.y, end.y)}" ` +
+    `width="${Math.abs(end.x - start.x)}" height="${Math.abs(end.y - start.y)}" ` +
+    `fill="${op.fill ? escapeXML(op.fill) : 'none'}" ${strokeAttributes(op.color, op.strokeWidth)}/>`;
+}
+
+function ellipseElement(op) {
+  const [start, end] = op.points;
+  return `<ellipse cx="${(start.x + end.x) / 2}" cy="${(start.y + end.y) / 2}" ` +
+    `rx="${Math.abs(end.x - start.x) / 2}" ry="${Math.abs(end.y - start.y) / 2}" ` +
+    `fill="${op.fill ? escapeXML(op.fill) : 'none'}" ${strokeAttributes(op.color, op.strokeWidth)}/>`;
+}
+
+function textElement(op) {
+  const { x, y } = op.points[0];
+  const lineHeight = op.fontSize * TEXT_LINE_HEIGHT;
+
+  const lines = op.text.split('\n').map((line, i) =>
+    `<tspan x="${x}" y="${y + i * lineHeight}">${escapeXML(line)}</tspan>`
+  );
+
+  return `<text font-family="${TEXT_FONT_FAMILY}" font-size="${op.fontSize}" ` +
+    `fill="${escapeXML(op.color)}" dominant-baseline="text-before-edge" xml:space="preserve">` +
+    lines.join('') + '</text>';
+}
+
+/**
+ * Box around all operations, or null if there are none
+ */
+function getContentBounds(operations) {
+  let bounds = null;
+
+  operations.forEach(op => {
+    const box = getOperationBounds(op);
+    if (!box) return;
+
+    if (!bounds) {
+      bounds = box;
+    } else {
+      bounds = {
+        minX: Math.min(bounds.minX, box.minX),
+        minY: Math.min(bounds.minY, box.minY),
+        maxX: Math.max(bounds.maxX, box.maxX),
+        maxY: Math.max(bounds.maxY, box.maxY)
+      };
+    }
+  });
+
+  return bounds;
+}
+
+function getOperationBounds(op) {
+  const box = getLocalBounds(op);
+  if (!box || !op.transform) return box;
+
+  // Box around the transformed corners
+  const [a, b, c, d, e, f] = op.transform;
+  const corners = [
+    [box.minX, box.minY], [box.maxX, box.minY],
+    [box.minX, box.maxY], [box.maxX, box.maxY]
+  ].map(([px, py]) => ({ x: a * px + c * py + e, y: b * px + d * py + f }));
+
+  return {
+    minX: Math.min(...corners.map(p => p.x)),
+    minY: Math.min(...corners.map(p => p.y)),
+    maxX: Math.max(...corners.map(p => p.x)),
+    maxY: Math.max(...corners.map(p => p.y))
+  };
+}
+
+/**
+ * Box around an operation before its transform is applied
+ */
+function getLocalBounds(op) {
+  if (!op.points || op.points.length === 0) return null;
+
+  if (op.tool === 'text') {
+    const { x, y } = op.points[0];
+    const lines = op.text.split('\n');
+    const longest = Math.max(...lines.map(line => line.length));
+
+    return {
+      minX: x,
+      minY: y,
+      maxX: x + longest * op.fontSize * AVERAGE_CHAR_WIDTH,
+      maxY: y + lines.length * op.fontSize * TEXT_LINE_HEIGHT
+    };
+  }
+
+  // Arrow heads stick out past the end point
+  const extra = op.tool === 'arrow'
+    ? Math.max(12, op.strokeWidth * 3)
+    : op.strokeWidth / 2;
+  const xs = op.points.map(p => p.x);
+  const ys = op.points.map(p => p.y);
+
+  return {
+    minX: Math.min(...xs) - extra,
+    minY: Math.min(...ys) - extra,
+    maxX: Math.max(...xs) + extra,
+    maxY: Math.max(...ys) + extra
+  };
+}
+
+function escapeXML(value) {
+  // Control characters are not allowed in XML 1.0, even escaped; rooms
+  // may hold text from before they were refused
+  return String(value)
+    .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+module.exports = {
+  EXPORT_VERSION,
+  toJSON,
+  toSVG
+};
@@ -0,0 +1,72 @@
+/**
+ * Rate Limiter
+ * Token buckets per event type for one connection. Each event type has a
+ * rate (tokens added per second) and a burst (bucket size); every event
+ * takes a token, and events that find the bucket empty are refused
+ */
+class RateLimiter {
+  /**
+   * limits: event -> { rate, burst }; events not listed use defaultLimit
+   */
+  constructor(limits, defaultLimit) {
+    this.limits = limits;
+    this.defaultLimit = defaultLimit;
+
+    // event -> { tokens, updatedAt }
+    this.buckets = new Map();
+
+    // Times of recent refusals, oldest first
+    this.violations = [];
+  }
+
+  /**
+   * Take a token for an event; false if it came too soon
+   */
+  consume(event, now = Date.now()) {
+    const limit = this.limits[event] || this.defaultLimit;
+    let bucket = this.buckets.get(event);
+
+    if (!bucket) {
+      bucket = { tokens: limit.burst, updatedAt: now };
+      this.buckets.set(event, bucket);
+    }
+
+    // Refill for the time since the last event, up to the burst size
+    bucket.tokens = Math.min(limit.burst, bucket.tokens + (now - bucket.updatedAt) / 1000 * limit.rate);
+    bucket.updatedAt = now;
+
+    if (bucket.tokens < 1) return false;
+
+    bucket.tokens -= 1;
+    return true;
+  }
+
+  /**
+   * Whether every bucket has refilled, so a new limiter would act the same
+   */
+  isIdle(now = Date.now()) {
+    for (const [event, bucket] of this.buckets) {
+      const limit = this.limits[event] || this.defaultLimit;
+      if (bucket.tokens + (now - bucket.updatedAt) / 1000 * limit.rate < limit.burst) {
+        return false;
+      }
+    }
+    return true;
+  }
+
+  /**
+   * Note a refused or oversized event
+   * Returns how many there were in the last `window` ms, this one included
+   */
+  recordViolation(window, now = Date.now()) {
+    this.violations.push(now);
+
+    while (this.violations.length > 0 && this.violations[0] <= now - window) {
+      this.violations.shift();
+    }
+
+    return this.violations.length;
+  }
+}
+
+module.exports = RateLimiter;
@@ -1,6 +1,8 @@
 /**
  * RoomManager handles user management across different rooms
- * Assigns unique colors to users and tracks active users per room
+ * Assigns unique colors to users and tracks active users per room, with
+ * the role each has there (owner, editor or viewer) and the part of the
+ * board they see
  */
 class RoomManager {
   constructor() {
@@ -16,26 +18,73 @@ class RoomManager {
   }
   
   /**
-   * Add a user to a room and assign them a color
+   * Add a user to a room and assign them a color: their preferred one
+   * (#RRGGBB) if nobody in the room has it, otherwise a free one
+   * keyHash identifies the user across connections (see access.js)
    */
-  addUser(roomId, userId, username) {
+  addUser(roomId, userId, username, role, keyHash, preferredColor) {
     if (!this.rooms.has(roomId)) {
       this.rooms.set(roomId, new Map());
     }
     
     const room = this.rooms.get(roomId);
-    const colorIndex = room.size % this.availableColors.length;
-    const userColor = this.availableColors[colorIndex];
+    const userColor = this.pickColor(roomId, preferredColor);
     
     room.set(userId, {
       username: username,
       color: userColor,
+      role: role,
+      keyHash: keyHash,
       joinedAt: Date.now()
     });
     
     return userColor;
   }
   
+  /**
+   * Pick a color nobody else in the room has: the preferred one if it is
+   * free, otherwise the first free one from the palette. Once every
+   * palette color is taken, the one the fewest users share
+   */
+  pickColor(roomId, preferredColor, exceptUserId) {
+    const counts = new Map();
+    this.availableColors.forEach(color => counts.set(color, 0));
+    
+    if (this.rooms.has(roomId)) {
+      this.rooms.get(roomId).forEach((user, userId) => {
+        if (userId !== exceptUserId) {
+          counts.set(user.color, (counts.get(user.color) || 0) + 1);
+        }
+      });
+    }
+    
+    const preferred = preferredColor && preferredColor.toUpperCase();
+    if (preferred && !counts.get(preferred)) {
+      return preferred;
+    }
+    
+    return this.availableColors.reduce((best, color) =>
+      counts.get(color) < counts.get(best) ? color : best
+    );
+  }
+  
+  /**
+   * Whether someone in the room other than userId has a color
+   */
+  isColorTaken(roomId, color, userId) {
+    if (!this.rooms.has(roomId)) {
+      return false;
+    }
+    
+    const wanted = color.toUpperCase();
+    for (const [otherId, user] of this.rooms.get(roomId)) {
+      if (otherId !== userId && user.color === wanted) {
+        return true;
+      }
+    }
+    return false;
+  }
+  
   /**
    * Remove a user from a room
    */
@@ -71,13 +120,31 @@ class RoomManager {
       users.push({
         userId: userId,
         username: userData.username,
-        color: userData.color
+        color: userData.color,
+        role: userData.role,
+        viewport: userData.viewport || null
       });
     });
     
     return users;
   }
   
+  /**
+   * List rooms that have users in them, busiest first
+   */
+  getRooms() {
+    const rooms = [];
+    
+    this.rooms.forEach((room, roomId) => {
+      rooms.push({
+        roomId: roomId,
+        userCount: room.size
+      });
+    });
+    
+    return rooms.sort((a, b) => b.userCount - a.userCount);
+  }
+  
   /**
    * Get a specific user's information
    */
@@ -89,6 +156,53 @@ class RoomManager {
     return this.rooms.get(roomId).get(userId);
   }
   
+  /**
+   * Change the role of a user in a room
+   * Returns the updated user or null if they are not in the room
+   */
+  setRole(roomId, userId, role) {
+    const user = this.getUser(roomId, userId);
+    if (!user) {
+      return null;
+    }
+    
+    user.role = role;
+    return user;
+  }
+  
+  /**
+   * Change a user's name and/or color; colors are stored upper case
+   * Returns the updated user or null if they are not in the room
+   */
+  updateProfile(roomId, userId, profile) {
+    const user = this.getUser(roomId, userId);
+    if (!user) {
+      return null;
+    }
+    
+    if (profile.username !== undefined) {
+      user.username = profile.username;
+    }
+    if (profile.color !== undefined) {
+      user.color = profile.color.toUpperCase();
+    }
+    return user;
+  }
+  
+  /**
+   * Remember the part of the board a user sees, so people who join later
+   * can show it and follow them
+   */
+  setViewport(roomId, userId, viewport) {
+    const user = this.getUser(roomId, userId);
+    if (!user) {
+      return null;
+    }
+    
+    user.viewport = viewport;
+    return user;
+  }
+  
   /**
    * Check if a user exists in a room
    */
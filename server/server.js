@@ -4,6 +4,12 @@ const socketIO = require('socket.io');
 const path = require('path');
 const RoomManager = require('./rooms');
 const DrawingStateManager = require('./drawing-state');
+const { JournalStorage, MemoryStorage } = require('./storage');
+const exporter = require('./export');
+const access = require('./access');
+const RateLimiter = require('./rate-limiter');
+const PathCodec = require('../shared/path-codec');
+const StrokeSmoothing = require('../shared/stroke-smoothing');
 
 const app = express();
 const server = http.createServer(app);
@@ -11,11 +17,145 @@ const io = socketIO(server, {
   cors: {
     origin: "*",
     methods: ["GET", "POST"]
-  }
+  },
+  // Imported scenes arrive as one message
+  maxHttpBufferSize: 5e6
 });
 
 const PORT = process.env.PORT || 3000;
 
+// Room journals are written here; set PERSIST=false to keep state in memory only
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, '../data');
+const PERSIST = process.env.PERSIST !== 'false';
+
+// Rooms that changed get an automatic version this often
+const AUTO_VERSION_MINUTES = parseFloat(process.env.AUTO_VERSION_MINUTES) || 10;
+
+// Minutes a room stays in memory after the last user leaves
+const ROOM_IDLE_MINUTES = parseFloat(process.env.ROOM_IDLE_MINUTES) || 10;
+
+// Room ids appear in URLs and file names, keep them simple
+const ROOM_ID_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+
+const COLOR_PATTERN = /^#[0-9A-Fa-f]{6}$/;
+
+// Freehand tools store every point, shapes store a start and an end point
+const FREEHAND_TOOLS = ['brush', 'eraser'];
+const SHAPE_TOOLS = ['line', 'rectangle', 'ellipse', 'arrow'];
+
+// Text operations are anchored at one point
+const MAX_TEXT_LENGTH = 2000;
+
+// Control characters XML 1.0 does not allow; text with them could not be
+// exported as SVG. Tabs and line breaks are fine
+const CONTROL_CHARACTERS = /[\u0000-\u0008\u000B\u000C\u000E-\u001F]/;
+const MIN_FONT_SIZE = 8;
+const MAX_FONT_SIZE = 144;
+
+// Ids clients pick for in-progress strokes
+const STROKE_ID_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+
+// Provisional ids clients give their own operations until the server
+// confirms them
+const OPERATION_ID_PATTERN = /^[A-Za-z0-9_.-]{1,100}$/;
+
+// Fields stored for each kind of operation, besides the ones the server
+// sets (id, userId, username, timestamp). Anything else a client sends is
+// dropped; updates can change all of them but tool and strokeId
+const COMMON_FIELDS = ['tool', 'points', 'layerId', 'transform'];
+const OPERATION_FIELDS = {
+  freehand: [...COMMON_FIELDS, 'color', 'strokeWidth', 'smoothing', 'strokeId'],
+  shape: [...COMMON_FIELDS, 'color', 'strokeWidth', 'fill'],
+  text: [...COMMON_FIELDS, 'color', 'text', 'fontSize']
+};
+const FIXED_FIELDS = ['tool', 'strokeId'];
+
+// Layers per room and layer name length
+const MAX_LAYERS = 20;
+const MAX_LAYER_NAME_LENGTH = 40;
+
+// Most operations one selection edit (move, delete, duplicate) can touch
+const MAX_BATCH_OPERATIONS = 5000;
+
+// Largest scale factor a transform may apply
+const MAX_TRANSFORM_SCALE = 1000;
+
+// Largest scene that can be imported at once
+const MAX_IMPORT_OPERATIONS = 10000;
+const IMPORT_MODES = ['merge', 'replace'];
+
+// Length of a saved version's name
+const MAX_VERSION_NAME_LENGTH = 60;
+
+// Random key each browser keeps so it gets its role back when it returns
+const USER_KEY_PATTERN = /^[A-Za-z0-9_-]{16,128}$/;
+
+const MAX_PASSWORD_LENGTH = 100;
+
+// Answer to anything a viewer tries to change
+const VIEW_ONLY_ERROR = 'You can only view this room';
+
+// Longest freehand stroke, most points one streamed batch can add and
+// strokes one connection can stream at the same time
+const MAX_STROKE_POINTS = 10000;
+const MAX_APPEND_POINTS = 500;
+const MAX_LIVE_STROKES = 4;
+
+// Most operations a room can hold
+const MAX_ROOM_OPERATIONS = 50000;
+
+const MAX_USERNAME_LENGTH = 32;
+
+// Longest chat message
+const MAX_CHAT_LENGTH = 1000;
+
+// Widest or tallest area of the board a viewport may report (world units)
+const MAX_VIEWPORT_SIZE = 1000000;
+
+// Largest event payload (bytes of JSON). Imports are only bounded by
+// maxHttpBufferSize
+const MAX_EVENT_BYTES = 512 * 1024;
+const UNCAPPED_EVENTS = ['import-operations'];
+
+// Token buckets per connection and event: rate is events per second,
+// burst how many can come at once. Unlisted events get the default
+const EVENT_LIMITS = {
+  'join-room': { rate: 0.5, burst: 5 },
+  'cursor-move': { rate: 30, burst: 60 },
+  'viewport': { rate: 10, burst: 20 },
+  'summon': { rate: 0.2, burst: 2 },
+  'stroke-start': { rate: 10, burst: 20 },
+  'stroke-append': { rate: 50, burst: 100 },
+  'stroke-end': { rate: 10, burst: 20 },
+  'draw': { rate: 20, burst: 40 },
+  'get-changes': { rate: 1, burst: 5 },
+  'undo': { rate: 15, burst: 30 },
+  'redo': { rate: 15, burst: 30 },
+  'clear-canvas': { rate: 0.2, burst: 2 },
+  'import-operations': { rate: 0.2, burst: 3 },
+  'save-version': { rate: 0.5, burst: 5 },
+  'chat-message': { rate: 1, burst: 5 },
+  'update-profile': { rate: 0.5, burst: 5 },
+  'restore-version': { rate: 0.5, burst: 5 }
+};
+const DEFAULT_EVENT_LIMIT = { rate: 10, burst: 20 };
+
+// Refusing these for coming too fast costs nothing, and holding a key
+// sends them quickly, so their rate refusals never lead to a disconnect
+const UNCOUNTED_EVENTS = ['undo', 'redo'];
+const RATE_LIMIT_ERROR = 'Too many requests, slow down';
+
+// Exports per client address; each may check a password and render the
+// whole board
+const EXPORT_LIMIT = { rate: 0.5, burst: 10 };
+
+// Connections with this many refused events within VIOLATION_WINDOW ms are
+// dropped; MAX_VIOLATIONS=0 never drops anyone
+const MAX_VIOLATIONS = process.env.MAX_VIOLATIONS === undefined
+  ? 50
+  : parseInt(process.env.MAX_VIOLATIONS, 10) || 0;
+const VIOLATION_WINDOW = 60 * 1000;
+
 /**
  * Validate incoming drawing data to prevent malformed operations
  */
@@ -24,99 +164,1159 @@ function validateDrawingData(data) {
   if (!data || typeof data !== 'object') return false;
   if (!Array.isArray(data.points) || data.points.length === 0) return false;
   if (typeof data.tool !== 'string') return false;
-  if (typeof data.strokeWidth !== 'number') return false;
 
   // Validate tool type
-  const validTools = ['brush', 'eraser'];
-  if (!validTools.includes(data.tool)) return false;
+  const isShape = SHAPE_TOOLS.includes(data.tool);
+  const isText = data.tool === 'text';
+  if (!isShape && !isText && !FREEHAND_TOOLS.includes(data.tool)) return false;
 
-  // Validate stroke width (1-50)
-  if (data.strokeWidth < 1 || data.strokeWidth > 50) return false;
+  // Shapes are defined by exactly two points
+  if (isShape && data.points.length !== 2) return false;
+  if (data.points.length > MAX_STROKE_POINTS) return false;
+  
+  // Pen pressure only varies the width of freehand strokes, and only
+  // they are smoothed
+  if (!FREEHAND_TOOLS.includes(data.tool) && data.points.some(point => point && point.p !== undefined)) {
+    return false;
+  }
+  if (data.smoothing !== undefined) {
+    if (!FREEHAND_TOOLS.includes(data.tool) || !StrokeSmoothing.isValidLevel(data.smoothing)) return false;
+  }
+
+  if (isText) {
+    // Text needs one anchor point, some text and a font size
+    if (data.points.length !== 1) return false;
+    if (typeof data.text !== 'string') return false;
+    if (data.text.trim().length === 0 || data.text.length > MAX_TEXT_LENGTH) return false;
+    if (CONTROL_CHARACTERS.test(data.text)) return false;
+    if (typeof data.fontSize !== 'number') return false;
+    if (data.fontSize < MIN_FONT_SIZE || data.fontSize > MAX_FONT_SIZE) return false;
+  } else {
+    // Validate stroke width (1-50)
+    if (typeof data.strokeWidth !== 'number') return false;
+    if (data.strokeWidth < 1 || data.strokeWidth > 50) return false;
+  }
 
   // Validate color format for non-eraser tools
   if (data.tool !== 'eraser') {
     if (typeof data.color !== 'string') return false;
-    if (!/^#[0-9A-Fa-f]{6}$/.test(data.color)) return false;
+    if (!COLOR_PATTERN.test(data.color)) return false;
+  }
+
+  // Fill is optional and only meaningful for closed shapes
+  if (data.fill !== undefined && data.fill !== null) {
+    if (data.tool !== 'rectangle' && data.tool !== 'ellipse') return false;
+    if (typeof data.fill !== 'string' || !COLOR_PATTERN.test(data.fill)) return false;
+  }
+
+  // Moved, scaled or rotated operations carry an affine transform
+  if (data.transform !== undefined && data.transform !== null) {
+    if (!validateTransform(data.transform)) return false;
   }
 
   // Validate points have valid coordinates
-  for (const point of data.points) {
+  return validatePoints(data.points);
+}
+
+/**
+ * Check a transform [a, b, c, d, e, f] (same order as canvas transform()):
+ * finite numbers, not collapsing the operation and not absurdly large
+ */
+function validateTransform(transform) {
+  if (!Array.isArray(transform) || transform.length !== 6) return false;
+  if (!transform.every(value => typeof value === 'number' && isFinite(value))) return false;
+
+  const [a, b, c, d, e, f] = transform;
+  if ([a, b, c, d].some(value => Math.abs(value) > MAX_TRANSFORM_SCALE)) return false;
+  if (Math.abs(e) > PathCodec.MAX_COORDINATE || Math.abs(f) > PathCodec.MAX_COORDINATE) return false;
+
+  return Math.abs(a * d - b * c) > 1e-6;
+}
+
+/**
+ * Check that every entry is a point with coordinates on the board (within
+ * what PathCodec can encode), and a pen pressure between 0 and 1 if it
+ * has one
+ */
+function validatePoints(points) {
+  if (!Array.isArray(points)) return false;
+
+  for (const point of points) {
+    if (!point || typeof point !== 'object') return false;
     if (typeof point.x !== 'number' || typeof point.y !== 'number') return false;
-    if (!isFinite(point.x) || !isFinite(point.y)) return false;
+    if (!(Math.abs(point.x) <= PathCodec.MAX_COORDINATE) || !(Math.abs(point.y) <= PathCodec.MAX_COORDINATE)) return false;
+    if (point.p !== undefined && !(typeof point.p === 'number' && point.p >= 0 && point.p <= 1)) return false;
   }
 
   return true;
 }
 
+/**
+ * Check a visible area of the board: { x, y, width, height } in world
+ * units, with a size above zero
+ */
+function validateViewport(viewport) {
+  if (!validatePoints([viewport])) return false;
+
+  const { width, height } = viewport;
+  return typeof width === 'number' && typeof height === 'number' &&
+    width > 0 && height > 0 && width <= MAX_VIEWPORT_SIZE && height <= MAX_VIEWPORT_SIZE;
+}
+
+/**
+ * Validate the header of a freehand stroke that is being streamed
+ */
+function validateStrokeStart(data) {
+  if (!data || typeof data !== 'object') return false;
+  if (typeof data.strokeId !== 'string' || !STROKE_ID_PATTERN.test(data.strokeId)) return false;
+  if (!FREEHAND_TOOLS.includes(data.tool)) return false;
+
+  return validateDrawingData({
+    points: [data.point],
+    tool: data.tool,
+    color: data.color,
+    strokeWidth: data.strokeWidth,
+    smoothing: data.smoothing
+  });
+}
+
+/**
+ * Check an uploaded scene (an export document or a bare operation list)
+ * Returns { operations } or { error } with a message for the uploader
+ */
+function validateImport(scene) {
+  const operations = Array.isArray(scene) ? scene : scene && scene.operations;
+  
+  if (!Array.isArray(operations)) {
+    return { error: 'File does not contain an operation list' };
+  }
+  
+  if (!Array.isArray(scene) && typeof scene.version === 'number' &&
+      scene.version > exporter.EXPORT_VERSION) {
+    return { error: `File was exported by a newer version (format ${scene.version})` };
+  }
+  
+  if (operations.length === 0) {
+    return { error: 'File contains no operations' };
+  }
+  
+  if (operations.length > MAX_IMPORT_OPERATIONS) {
+    return { error: `File has more than ${MAX_IMPORT_OPERATIONS} operations` };
+  }
+  
+  // Imported operations follow the same rules as drawn ones
+  const invalid = operations.findIndex(op => !validateDrawingData(op));
+  if (invalid !== -1) {
+    return { error: `Operation ${invalid + 1} is not valid` };
+  }
+  
+  return { operations };
+}
+
+/**
+ * Why an event breaks a connection's limits, or null if it doesn't
+ */
+function checkEventLimits(limiter, event, args) {
+  if (!limiter.consume(event)) {
+    return RATE_LIMIT_ERROR;
+  }
+  
+  if (!UNCAPPED_EVENTS.includes(event)) {
+    const payload = args.filter(arg => typeof arg !== 'function');
+    if (Buffer.byteLength(JSON.stringify(payload)) > MAX_EVENT_BYTES) {
+      return 'Message is too large';
+    }
+  }
+  
+  return null;
+}
+
+/**
+ * Check a layer name sent by a client
+ */
+function validateLayerName(name) {
+  return typeof name === 'string' &&
+    name.trim().length > 0 &&
+    name.trim().length <= MAX_LAYER_NAME_LENGTH;
+}
+
+/**
+ * Fields an operation with this tool stores
+ */
+function getOperationFields(tool) {
+  if (FREEHAND_TOOLS.includes(tool)) return OPERATION_FIELDS.freehand;
+  if (SHAPE_TOOLS.includes(tool)) return OPERATION_FIELDS.shape;
+  return OPERATION_FIELDS.text;
+}
+
+/**
+ * Copy the known fields of an operation (or of changes to one), with
+ * points reduced to x, y and pressure
+ */
+function pickFields(data, fields) {
+  const picked = {};
+  
+  fields.forEach(field => {
+    if (data[field] === undefined) return;
+    
+    // Malformed points are left for validation to reject
+    picked[field] = field === 'points' && validatePoints(data.points)
+      ? data.points.map(({ x, y, p }) => (p === undefined ? { x, y } : { x, y, p }))
+      : data[field];
+  });
+  
+  return picked;
+}
+
+/**
+ * Turn validated drawing data into a stored operation owned by userId
+ * The author's name is kept so replays can tell users apart after they left
+ */
+function createOperation(data, userId, username) {
+  return {
+    ...pickFields(data, getOperationFields(data.tool)),
+    userId: userId,
+    username: username,
+    timestamp: Date.now(),
+    id: `${userId}-${Date.now()}-${Math.random()}`
+  };
+}
+
+/**
+ * The changes a client may make to an existing operation; unknown and
+ * fixed fields are dropped
+ */
+function pickChanges(existing, changes) {
+  const fields = getOperationFields(existing.tool).filter(field => !FIXED_FIELDS.includes(field));
+  return pickFields(changes, fields);
+}
+
 // Serve static files from client directory
-app.use(express.static(path.join(__dirname, '../client')));
+// The landing page and rooms have explicit routes, so no directory index
+const clientDir = path.join(__dirname, '../client');
+app.use(express.static(clientDir, { index: false }));
+
+// Modules the browser shares with the server
+app.use('/shared', express.static(path.join(__dirname, '../shared'), { index: false }));
 
 // Initialize managers
 const roomManager = new RoomManager();
-const stateManager = new DrawingStateManager();
+const storage = PERSIST ? new JournalStorage(DATA_DIR) : new MemoryStorage();
+const stateManager = new DrawingStateManager(storage);
+
+/**
+ * How many more operations a room can take
+ */
+function getRoomSpace(roomId) {
+  return MAX_ROOM_OPERATIONS - stateManager.getState(roomId).operations.length;
+}
+
+/**
+ * Whether a room can take count more operations
+ */
+function hasSpaceFor(roomId, count) {
+  return count <= getRoomSpace(roomId);
+}
+
+const ROOM_FULL_ERROR = `A board can hold at most ${MAX_ROOM_OPERATIONS} operations`;
+
+/**
+ * Layer an operation lives on. Operations whose layer was deleted (e.g.
+ * restored by redo afterwards) are shown on the bottom layer
+ */
+function getOperationLayer(roomId, operation) {
+  return stateManager.getLayer(roomId, operation.layerId) ||
+    stateManager.getLayers(roomId)[0];
+}
+
+/**
+ * Layer new content can go on: it has to exist and not be locked
+ * Without a layer id, the bottom layer is used
+ */
+function getDrawableLayer(roomId, layerId) {
+  const layer = layerId === undefined
+    ? stateManager.getLayers(roomId)[0]
+    : stateManager.getLayer(roomId, layerId);
+  
+  return layer && !layer.locked ? layer : null;
+}
+
+/**
+ * What clients see of a saved version in the history list (no operations)
+ */
+function describeVersion(version) {
+  return {
+    id: version.id,
+    name: version.name,
+    auto: version.auto,
+    createdAt: version.createdAt,
+    username: version.username,
+    operationCount: version.operations.length
+  };
+}
+
+function validatePassword(password) {
+  return typeof password === 'string' &&
+    password.length > 0 &&
+    password.length <= MAX_PASSWORD_LENGTH;
+}
+
+/**
+ * Decide the role a user joins a room with
+ * credentials: { password, invite } as sent with join-room
+ * Resolves to { role } or { code, error } if they may not join
+ */
+async function admitUser(roomId, keyHash, credentials) {
+  const roomAccess = stateManager.getAccess(roomId);
+  
+  // Whoever opens a room first owns it, and can give it a password
+  if (!roomAccess) {
+    const password = validatePassword(credentials.password) ? credentials.password : null;
+    const created = await access.createAccess(keyHash, password);
+    
+    // Someone else may have opened it while the password was hashed
+    if (stateManager.getAccess(roomId)) {
+      return admitUser(roomId, keyHash, credentials);
+    }
+    stateManager.setAccess(roomId, created);
+    return { role: 'owner' };
+  }
+  
+  if (roomAccess.members[keyHash]) {
+    return { role: roomAccess.members[keyHash] };
+  }
+  
+  // Invite links let people in without the password, with the link's role
+  let role = access.INVITE_ROLES.find(inviteRole =>
+    roomAccess.invites[inviteRole] && roomAccess.invites[inviteRole] === credentials.invite
+  );
+  
+  if (!role) {
+    // Open rooms don't need to remember anyone
+    if (!roomAccess.password) {
+      return { role: roomAccess.defaultRole };
+    }
+    
+    if (!validatePassword(credentials.password)) {
+      return { code: 'password-required', error: 'This room needs a password' };
+    }
+    if (!(await access.checkPassword(roomAccess.password, credentials.password))) {
+      return { code: 'wrong-password', error: 'Wrong password' };
+    }
+    role = roomAccess.defaultRole;
+  }
+  
+  // Next time they get in without the password or link
+  setMemberRole(roomId, keyHash, role);
+  return { role };
+}
+
+/**
+ * Remember the role of a user in a room
+ */
+function setMemberRole(roomId, keyHash, role) {
+  const roomAccess = stateManager.getAccess(roomId);
+  stateManager.setAccess(roomId, {
+    ...roomAccess,
+    members: { ...roomAccess.members, [keyHash]: role }
+  });
+}
+
+/**
+ * What owners see of a room's access settings (never the password)
+ */
+function describeAccess(roomAccess) {
+  return {
+    hasPassword: Boolean(roomAccess.password),
+    defaultRole: roomAccess.defaultRole,
+    invites: roomAccess.invites
+  };
+}
+
+/**
+ * Broadcast a change to a room's operations, numbered with the room's next
+ * sequence number. target is io.to(roomId), or socket.to(roomId) to leave
+ * out the sender
+ */
+function broadcastChange(target, roomId, event, data) {
+  const seq = stateManager.recordChange(roomId, event, data);
+  target.emit(event, { ...PathCodec.packOperations(data), seq });
+  return seq;
+}
+
+/**
+ * Send a room its version history, newest first
+ */
+function broadcastVersions(roomId) {
+  io.to(roomId).emit('versions-updated', {
+    versions: stateManager.getVersions(roomId).map(describeVersion).reverse()
+  });
+}
+
+// Landing page: create a new room or join an existing one
+app.get('/', (req, res) => {
+  res.sendFile(path.join(clientDir, 'landing.html'));
+});
+
+// Each room is addressed by its own URL
+app.get('/r/:roomId', (req, res) => {
+  if (!ROOM_ID_PATTERN.test(req.params.roomId)) {
+    return res.redirect('/');
+  }
+  res.sendFile(path.join(clientDir, 'index.html'));
+});
+
+// Directory of rooms that currently have users in them; rooms with a
+// password are private and left out
+app.get('/api/rooms', (req, res) => {
+  const rooms = roomManager.getRooms().filter(room => {
+    const roomAccess = stateManager.getAccess(room.roomId);
+    return !(roomAccess && roomAccess.password);
+  });
+  
+  res.json({ rooms });
+});
+
+// Export rate limits by client address, dropped once they have refilled
+const exportLimiters = new Map();
+
+// Export a room's drawing without a browser
+// GET /api/rooms/:roomId/export?format=svg|json[&background=white|#rrggbb]
+app.get('/api/rooms/:roomId/export', async (req, res) => {
+  const roomId = req.params.roomId;
+  const format = req.query.format || 'json';
+  
+  if (!exportLimiters.has(req.ip)) {
+    exportLimiters.set(req.ip, new RateLimiter({}, EXPORT_LIMIT));
+  }
+  if (!exportLimiters.get(req.ip).consume('export')) {
+    return res.status(429).json({ error: 'Too many exports, try again shortly' });
+  }
+  
+  if (!ROOM_ID_PATTERN.test(roomId)) {
+    return res.status(400).json({ error: 'Invalid room id' });
+  }
+  
+  if (format !== 'svg' && format !== 'json') {
+    return res.status(400).json({ error: 'Format must be svg or json' });
+  }
+  
+  let background = null;
+  if (req.query.background === 'white') {
+    background = '#ffffff';
+  } else if (req.query.background && req.query.background !== 'transparent') {
+    if (!COLOR_PATTERN.test(req.query.background)) {
+      return res.status(400).json({ error: 'Background must be white, transparent or #rrggbb' });
+    }
+    background = req.query.background;
+  }
+  
+  // Exports never create rooms; only rooms someone has drawn in exist
+  try {
+    if (!(await stateManager.hasRoom(roomId))) {
+      return res.status(404).json({ error: 'Room not found' });
+    }
+    await stateManager.loadRoom(roomId);
+  } catch (error) {
+    console.error(`Failed to load room ${roomId} for export:`, error);
+    return res.status(500).json({ error: 'Could not load room' });
+  }
+  
+  // Rooms with a password are only exported for their members (X-User-Key
+  // is the key their browser keeps) or with the password (X-Room-Password).
+  // Both come in headers so they stay out of URLs and access logs
+  const roomAccess = stateManager.getAccess(roomId);
+  if (roomAccess && roomAccess.password) {
+    const key = req.get('X-User-Key');
+    const isMember = typeof key === 'string' && USER_KEY_PATTERN.test(key) &&
+      Boolean(roomAccess.members[access.hashKey(key)]);
+    
+    if (!isMember && !(await access.checkPassword(roomAccess.password, req.get('X-Room-Password')))) {
+      return res.status(403).json({ error: 'This room needs a password' });
+    }
+  }
+  
+  // The room may have been unloaded while the password was checked
+  const { operations, layers } = await stateManager.loadRoom(roomId);
+  res.set('Content-Disposition', `inline; filename="${roomId}.${format}"`);
+  
+  if (format === 'svg') {
+    res.type('image/svg+xml').send(exporter.toSVG(operations, { background, layers }));
+  } else {
+    res.json(exporter.toJSON(roomId, operations));
+  }
+});
+
+/**
+ * Remove a socket from the room it is in and tell the others
+ * Returns the room id it left, or null if it was not in a room
+ */
+function leaveCurrentRoom(socket) {
+  const roomId = socket.data.roomId;
+  if (!roomId) return null;
+  
+  socket.leave(roomId);
+  socket.data.roomId = null;
+  
+  const user = roomManager.removeUser(roomId, socket.id);
+  
+  // Strokes still being drawn will never be finished, drop them everywhere
+  socket.data.liveStrokes.forEach((pointCount, strokeId) => {
+    socket.to(roomId).emit('stroke-cancel', {
+      userId: socket.id,
+      strokeId: strokeId
+    });
+  });
+  socket.data.liveStrokes.clear();
+  
+  // Notify other users
+  socket.to(roomId).emit('user-left', {
+    userId: socket.id,
+    username: user?.username
+  });
+  
+  return roomId;
+}
 
 // Socket.io connection handling
 io.on('connection', (socket) => {
   console.log(`New client connected: ${socket.id}`);
   
-  // User joins a room (default room for this assignment)
-  socket.on('join-room', (data) => {
-    const roomId = data.roomId || 'default-room';
-    const username = data.username || `User-${socket.id.substring(0, 5)}`;
+  // Freehand strokes this socket is streaming right now: id -> points so far
+  socket.data.liveStrokes = new Map();
+  
+  // Every event passes the connection's rate limits and size cap first.
+  // Refused events get an error through their acknowledgement, if they
+  // have one, and a limit-exceeded event; repeat offenders are dropped
+  const limiter = new RateLimiter(EVENT_LIMITS, DEFAULT_EVENT_LIMIT);
+  
+  socket.use((packet, next) => {
+    const [event, ...args] = packet;
+    const error = checkEventLimits(limiter, event, args);
+    if (!error) {
+      // Handlers see plain point arrays; points that don't decode become
+      // null and fail validation
+      packet[1] = PathCodec.unpackOperations(packet[1]);
+      return next();
+    }
+    
+    const callback = args[args.length - 1];
+    if (typeof callback === 'function') {
+      callback({ ok: false, error });
+    }
+    
+    if (error === RATE_LIMIT_ERROR && UNCOUNTED_EVENTS.includes(event)) {
+      socket.emit('limit-exceeded', { event, error, disconnect: false });
+      return;
+    }
+    
+    const violations = limiter.recordViolation(VIOLATION_WINDOW);
+    const disconnect = MAX_VIOLATIONS > 0 && violations >= MAX_VIOLATIONS;
+    socket.emit('limit-exceeded', { event, error, disconnect });
+    
+    // One warning per burst of violations is enough for the log
+    if (violations === 1) {
+      console.warn(`${error} (${event}) from ${socket.id}`);
+    }
+    if (disconnect) {
+      console.warn(`Disconnecting ${socket.id} after ${violations} refused events`);
+      socket.disconnect(true);
+    }
+  });
+  
+  // User joins a room (rooms are addressed by /r/:roomId on the client)
+  socket.on('join-room', async (data) => {
+    const roomId = (data && data.roomId) || 'default-room';
+    const name = data && typeof data.username === 'string'
+      ? data.username.trim().substring(0, MAX_USERNAME_LENGTH)
+      : '';
+    const username = name || `User-${socket.id.substring(0, 5)}`;
+    
+    // The color the user picked in their profile, if it is free in the room
+    const preferredColor = data && typeof data.color === 'string' && COLOR_PATTERN.test(data.color)
+      ? data.color
+      : null;
+    
+    if (!ROOM_ID_PATTERN.test(roomId)) {
+      console.warn(`Invalid room id from ${socket.id}`);
+      return;
+    }
+    
+    const userKey = data && data.userKey;
+    if (typeof userKey !== 'string' || !USER_KEY_PATTERN.test(userKey)) {
+      console.warn(`Invalid user key from ${socket.id}`);
+      return;
+    }
+    
+    // A socket is in one room at a time; switching leaves the old one
+    if (socket.data.roomId) {
+      leaveCurrentRoom(socket);
+    }
+    
+    // Load the room from storage before the user can draw into it
+    socket.data.joiningRoomId = roomId;
+    try {
+      await stateManager.loadRoom(roomId);
+    } catch (error) {
+      console.error(`Failed to load room ${roomId}:`, error);
+      if (socket.data.joiningRoomId === roomId) {
+        socket.data.joiningRoomId = null;
+        socket.emit('join-error', {
+          roomId: roomId,
+          code: 'load-failed',
+          error: 'The room could not be loaded, try again later'
+        });
+      }
+      return;
+    }
+    
+    // The client may have gone away or asked for another room meanwhile
+    if (socket.disconnected || socket.data.joiningRoomId !== roomId) return;
+    
+    // Password and invite checks; the client asks for a password and
+    // tries again if it needs one. The room stays loaded while
+    // joiningRoomId names it
+    const keyHash = access.hashKey(userKey);
+    const admission = await admitUser(roomId, keyHash, data);
+    
+    if (socket.disconnected || socket.data.joiningRoomId !== roomId) return;
+    socket.data.joiningRoomId = null;
+    
+    if (admission.error) {
+      socket.emit('join-error', {
+        roomId: roomId,
+        code: admission.code,
+        error: admission.error
+      });
+      return;
+    }
+    
+    // Join the room
+    socket.join(roomId);
+    socket.data.roomId = roomId;
+    socket.data.username = username;
+    socket.data.keyHash = keyHash;
+    
+    // Add user to room manager
+    const userColor = roomManager.addUser(roomId, socket.id, username, admission.role, keyHash, preferredColor);
+    
+    // A client coming back after a dropped connection only gets the
+    // changes it missed; anyone else gets the full drawing state
+    const currentState = stateManager.getState(roomId);
+    const missed = stateManager.getChangesSince(roomId, data && data.epoch, data && data.lastSeq);
+    const sync = {
+      roomId: roomId,
+      epoch: currentState.epoch,
+      seq: currentState.seq,
+      layers: currentState.layers,
+      users: roomManager.getUsers(roomId),
+      userColor: userColor,
+      role: admission.role,
+      chat: stateManager.getChatMessages(roomId)
+    };
+    
+    // Points travel in binary (see shared/path-codec.js)
+    if (missed) {
+      socket.emit('resync', {
+        ...sync,
+        changes: missed.map(change => ({ ...change, data: PathCodec.packOperations(change.data) }))
+      });
+    } else {
+      socket.emit('initial-state', {
+        ...sync,
+        operations: currentState.operations.map(PathCodec.packOperations)
+      });
+    }
+    
+    // Notify other users about new user
+    socket.to(roomId).emit('user-joined', {
+      userId: socket.id,
+      username: username,
+      color: userColor,
+      role: admission.role
+    });
+    
+    console.log(`${username} joined room ${roomId} as ${admission.role}`);
+  });
+  
+  // A client that noticed a gap in the numbered changes asks for the ones
+  // after the last it saw; if they are gone too, it joins again
+  socket.on('get-changes', (data, callback) => {
+    const reply = typeof callback === 'function' ? callback : () => {};
+    const roomId = socket.data.roomId;
+    if (!roomId) return reply({ ok: false, error: 'Not in a room' });
+    
+    const missed = data && stateManager.getChangesSince(roomId, data.epoch, data.lastSeq);
+    if (!missed) return reply({ ok: false, error: 'The missed changes are no longer available' });
+    
+    reply({
+      ok: true,
+      changes: missed.map(change => ({ ...change, data: PathCodec.packOperations(change.data) }))
+    });
+  });
+  
+  // User leaves their room without disconnecting (switching rooms)
+  socket.on('leave-room', () => {
+    socket.data.joiningRoomId = null;
+    const roomId = leaveCurrentRoom(socket);
+    
+    if (roomId) {
+      console.log(`User ${socket.id} left room ${roomId}`);
+    }
+  });
+  
+  // Handle drawing events; the sender learns through the acknowledgement
+  // whether its operation was stored and under which id
+  socket.on('draw', (data, callback) => {
+    const reply = typeof callback === 'function' ? callback : () => {};
+    reply(commitDraw(data));
+  });
+  
+  // Freehand strokes are streamed while they are drawn: stroke-start,
+  // stroke-append..., then stroke-end with the complete path. Only
+  // stroke-end is stored; the rest is relayed for live rendering
+  socket.on('stroke-start', (data) => {
+    const roomId = socket.data.roomId;
+    if (!roomId || !canEditRoom(roomId)) return;
     
-    // Join the room
-    socket.join(roomId);
+    if (!validateStrokeStart(data)) {
+      console.warn(`Invalid stroke start from ${socket.id}`);
+      return;
+    }
     
-    // Add user to room manager
-    const userColor = roomManager.addUser(roomId, socket.id, username);
+    // Nothing is drawn, even live, on a locked layer
+    if (!getDrawableLayer(roomId, data.layerId)) return;
+    if (socket.data.liveStrokes.size >= MAX_LIVE_STROKES) return;
     
-    // Send current drawing state to the new user
-    const currentState = stateManager.getState(roomId);
-    socket.emit('initial-state', {
-      operations: currentState.operations,
-      users: roomManager.getUsers(roomId),
-      userColor: userColor
+    socket.data.liveStrokes.set(data.strokeId, 1);
+    
+    socket.to(roomId).emit('stroke-start', {
+      userId: socket.id,
+      strokeId: data.strokeId,
+      tool: data.tool,
+      color: data.color,
+      strokeWidth: data.strokeWidth,
+      smoothing: data.smoothing,
+      point: data.point
     });
+  });
+  
+  socket.on('stroke-append', (data) => {
+    const roomId = socket.data.roomId;
+    if (!roomId || !data) return;
     
-    // Notify other users about new user
-    socket.to(roomId).emit('user-joined', {
+    // Ignore points for strokes that were never started (or already ended)
+    if (!socket.data.liveStrokes.has(data.strokeId)) return;
+    if (!validatePoints(data.points) || data.points.length === 0) return;
+    
+    // Live strokes stop growing at the size a stored stroke can have
+    const pointCount = socket.data.liveStrokes.get(data.strokeId) + data.points.length;
+    if (data.points.length > MAX_APPEND_POINTS || pointCount > MAX_STROKE_POINTS) return;
+    socket.data.liveStrokes.set(data.strokeId, pointCount);
+    
+    socket.to(roomId).emit('stroke-append', {
       userId: socket.id,
-      username: username,
-      color: userColor
+      strokeId: data.strokeId,
+      points: PathCodec.encodePoints(data.points)
+    });
+  });
+  
+  // The stroke was abandoned (e.g. it turned into a pinch); nothing is stored
+  socket.on('stroke-cancel', (data) => {
+    const roomId = socket.data.roomId;
+    if (!roomId || !data || !socket.data.liveStrokes.delete(data.strokeId)) return;
+    
+    socket.to(roomId).emit('stroke-cancel', {
+      userId: socket.id,
+      strokeId: data.strokeId
     });
+  });
+  
+  socket.on('stroke-end', (data, callback) => {
+    const reply = typeof callback === 'function' ? callback : () => {};
+    const roomId = socket.data.roomId;
+    if (!roomId || !data || !socket.data.liveStrokes.has(data.strokeId)) {
+      return reply({ ok: false, error: 'Stroke was not started' });
+    }
     
-    console.log(`${username} joined room ${roomId}`);
+    socket.data.liveStrokes.delete(data.strokeId);
+    
+    // If the final path is rejected, remote clients still need to drop
+    // the partial stroke they have been rendering
+    const result = commitDraw(data);
+    if (!result.ok) {
+      socket.to(roomId).emit('stroke-cancel', {
+        userId: socket.id,
+        strokeId: data.strokeId
+      });
+    }
+    reply(result);
   });
   
-  // Handle drawing events
-  socket.on('draw', (data) => {
-    const rooms = Array.from(socket.rooms);
-    const roomId = rooms.find(room => room !== socket.id) || 'default-room';
+  /**
+   * Whether this socket may change its room's board; viewers only watch
+   */
+  function canEditRoom(roomId) {
+    const user = roomManager.getUser(roomId, socket.id);
+    return Boolean(user) && access.canEdit(user.role);
+  }
+  
+  function isRoomOwner(roomId) {
+    const user = roomManager.getUser(roomId, socket.id);
+    return Boolean(user) && user.role === 'owner';
+  }
+  
+  /**
+   * Validate and store a finished operation, then broadcast it
+   * Returns { ok: true, operation, seq } or { ok: false, error }
+   */
+  function commitDraw(data) {
+    const roomId = socket.data.roomId;
+    if (!roomId) return { ok: false, error: 'Not in a room' };
+    if (!canEditRoom(roomId)) return { ok: false, error: VIEW_ONLY_ERROR };
 
     // Validate incoming drawing data
     if (!validateDrawingData(data)) {
       console.warn(`Invalid drawing data from ${socket.id}`);
-      return;
+      return { ok: false, error: 'Invalid drawing data' };
+    }
+
+    const layer = getDrawableLayer(roomId, data.layerId);
+    if (!layer) {
+      console.warn(`Draw on a missing or locked layer from ${socket.id}`);
+      return { ok: false, error: 'The layer is locked or was deleted' };
+    }
+    
+    if (!hasSpaceFor(roomId, 1)) {
+      return { ok: false, error: ROOM_FULL_ERROR };
     }
 
     // Add operation to state
-    const operation = {
-      ...data,
-      userId: socket.id,
-      timestamp: Date.now(),
-      id: `${socket.id}-${Date.now()}-${Math.random()}`
-    };
+    const operation = createOperation({ ...data, layerId: layer.id }, socket.id, socket.data.username);
+
+    // The provisional id the sender already uses is kept unless it is
+    // malformed or taken; otherwise the acknowledgement maps it to ours
+    if (typeof data.id === 'string' && OPERATION_ID_PATTERN.test(data.id) &&
+        !stateManager.getOperation(roomId, data.id)) {
+      operation.id = data.id;
+    }
 
-    stateManager.addOperation(roomId, operation);
+    stateManager.addOperation(roomId, operation, socket.data.keyHash);
 
-    // Broadcast to all other users in the room
-    socket.to(roomId).emit('draw', operation);
+    // Broadcast to all other users in the room; a strokeId tells them
+    // which live stroke this replaces
+    const seq = broadcastChange(socket.to(roomId), roomId, 'draw', operation);
+    return { ok: true, operation: PathCodec.packOperations(operation), seq };
+  }
+  
+  // Handle edits to an existing operation (e.g. re-editing text)
+  socket.on('update-operation', (data) => {
+    const roomId = socket.data.roomId;
+    if (!roomId || !canEditRoom(roomId)) return;
+    
+    if (!data || typeof data.operationId !== 'string' ||
+        !data.changes || typeof data.changes !== 'object') {
+      return;
+    }
+    
+    const existing = stateManager.getOperation(roomId, data.operationId);
+    if (!existing) return;
+    
+    // Only fields this kind of operation has can change; identity and type are fixed
+    const changes = pickChanges(existing, data.changes);
+    if (Object.keys(changes).length === 0) return;
+    
+    if (!validateChanges(roomId, existing, changes)) {
+      console.warn(`Invalid operation update from ${socket.id}`);
+      return;
+    }
+    
+    // Edits are undoable by whoever made them
+    const operation = stateManager.updateOperation(roomId, data.operationId, changes, socket.data.keyHash);
+    
+    // Broadcast to all users including sender
+    broadcastChange(io.to(roomId), roomId, 'operation-updated', { operation });
+  });
+  
+  // Load a previously exported scene into the room as one undoable action
+  // Errors go back to the uploader only, through the acknowledgement
+  socket.on('import-operations', (data, callback) => {
+    const reply = typeof callback === 'function' ? callback : () => {};
+    const roomId = socket.data.roomId;
+    if (roomId && !canEditRoom(roomId)) return reply({ ok: false, error: VIEW_ONLY_ERROR });
+    
+    if (!roomId) {
+      return reply({ ok: false, error: 'Not in a room' });
+    }
+    
+    const mode = data && data.mode;
+    if (!IMPORT_MODES.includes(mode)) {
+      return reply({ ok: false, error: 'Import mode must be merge or replace' });
+    }
+    
+    const result = validateImport(data.scene);
+    if (result.error) {
+      console.warn(`Rejected import from ${socket.id}: ${result.error}`);
+      return reply({ ok: false, error: result.error });
+    }
+    
+    // Everything lands on the layer the importer has selected
+    const layer = getDrawableLayer(roomId, data.layerId);
+    if (!layer) {
+      return reply({ ok: false, error: 'The selected layer is locked or was deleted' });
+    }
+    
+    // Replacing starts from an empty board
+    if (mode === 'merge' && !hasSpaceFor(roomId, result.operations.length)) {
+      return reply({ ok: false, error: ROOM_FULL_ERROR });
+    }
+    
+    // Imported operations get fresh ids and belong to the importer
+    const operations = result.operations.map(op =>
+      createOperation({ ...op, layerId: layer.id }, socket.id, socket.data.username)
+    );
+    stateManager.importOperations(roomId, socket.data.keyHash, operations, mode);
+    
+    // Broadcast to all users including sender
+    broadcastChange(io.to(roomId), roomId, 'operations-imported', {
+      userId: socket.id,
+      mode: mode,
+      operations: operations
+    });
+    
+    reply({ ok: true, count: operations.length });
+  });
+  
+  /**
+   * Check an edit to an existing operation
+   */
+  function validateChanges(roomId, existing, changes) {
+    // Content on a locked layer can't change, or move to a locked layer
+    if (getOperationLayer(roomId, existing).locked) return false;
+    if ('layerId' in changes && !getDrawableLayer(roomId, changes.layerId)) return false;
+    
+    // The edited operation has to pass the same rules as a new one
+    return validateDrawingData({ ...existing, ...changes });
+  }
+  
+  /**
+   * Look up the operations a selection edit refers to
+   * Returns null if the list is malformed or any of them can't be edited
+   */
+  function getEditableOperations(roomId, operationIds) {
+    if (!Array.isArray(operationIds) || operationIds.length === 0 ||
+        operationIds.length > MAX_BATCH_OPERATIONS) {
+      return null;
+    }
+    
+    const operations = operationIds.map(id => stateManager.getOperation(roomId, id));
+    if (operations.some(op => !op || getOperationLayer(roomId, op).locked)) {
+      return null;
+    }
+    
+    return operations;
+  }
+  
+  /**
+   * Apply a selection edit as one undoable action and broadcast what changed
+   */
+  function commitAction(roomId, changes) {
+    const applied = stateManager.applyAction(roomId, socket.data.keyHash, changes);
+    
+    // Broadcast to all users including sender
+    broadcastChange(io.to(roomId), roomId, 'operations-changed', {
+      userId: socket.id,
+      changes: applied
+    });
+    
+    return applied;
+  }
+  
+  // Selection edits. Each is one undo step for the sender, and is rejected
+  // as a whole (through the acknowledgement) if any part of it is invalid
+  socket.on('update-operations', (data, callback) => {
+    const reply = typeof callback === 'function' ? callback : () => {};
+    const roomId = socket.data.roomId;
+    if (roomId && !canEditRoom(roomId)) return reply({ ok: false, error: VIEW_ONLY_ERROR });
+    if (!roomId || !data || !Array.isArray(data.updates)) {
+      return reply({ ok: false, error: 'Invalid update' });
+    }
+    
+    const existing = getEditableOperations(roomId, data.updates.map(update => update && update.operationId));
+    if (!existing) {
+      return reply({ ok: false, error: 'Some of the selected operations can no longer be edited' });
+    }
+    
+    const changes = [];
+    for (let i = 0; i < data.updates.length; i++) {
+      const update = data.updates[i];
+      if (!update.changes || typeof update.changes !== 'object') {
+        return reply({ ok: false, error: 'Invalid update' });
+      }
+      const fields = pickChanges(existing[i], update.changes);
+      
+      if (!validateChanges(roomId, existing[i], fields)) {
+        console.warn(`Invalid operation update from ${socket.id}`);
+        return reply({ ok: false, error: 'Invalid update' });
+      }
+      
+      changes.push({ type: 'update', operationId: existing[i].id, changes: fields });
+    }
+    
+    commitAction(roomId, changes);
+    reply({ ok: true });
+  });
+  
+  socket.on('delete-operations', (data, callback) => {
+    const reply = typeof callback === 'function' ? callback : () => {};
+    const roomId = socket.data.roomId;
+    if (roomId && !canEditRoom(roomId)) return reply({ ok: false, error: VIEW_ONLY_ERROR });
+    
+    const existing = roomId && data && getEditableOperations(roomId, data.operationIds);
+    if (!existing) {
+      return reply({ ok: false, error: 'Some of the selected operations can no longer be deleted' });
+    }
+    
+    commitAction(roomId, existing.map(op => ({ type: 'remove', operationId: op.id })));
+    reply({ ok: true });
+  });
+  
+  // Copies go on top of the board, offset so they don't hide the originals
+  socket.on('duplicate-operations', (data, callback) => {
+    const reply = typeof callback === 'function' ? callback : () => {};
+    const roomId = socket.data.roomId;
+    if (roomId && !canEditRoom(roomId)) return reply({ ok: false, error: VIEW_ONLY_ERROR });
+    
+    const existing = roomId && data && getEditableOperations(roomId, data.operationIds);
+    if (!existing) {
+      return reply({ ok: false, error: 'Some of the selected operations can no longer be copied' });
+    }
+    
+    const offset = data.offset || { x: 0, y: 0 };
+    if (!validatePoints([offset])) {
+      return reply({ ok: false, error: 'Invalid offset' });
+    }
+    
+    if (!hasSpaceFor(roomId, existing.length)) {
+      return reply({ ok: false, error: ROOM_FULL_ERROR });
+    }
+    
+    // Keep the copies in the same stacking order as the originals
+    const { operationIndex } = stateManager.getState(roomId);
+    const originals = existing.slice().sort((a, b) =>
+      operationIndex.get(a.id) - operationIndex.get(b.id)
+    );
+    
+    const copies = originals.map(op => {
+      const [a, b, c, d, e, f] = op.transform || [1, 0, 0, 1, 0, 0];
+      const copy = createOperation({ ...op, transform: [a, b, c, d, e + offset.x, f + offset.y] }, socket.id, socket.data.username);
+      delete copy.strokeId;
+      return copy;
+    });
+    
+    commitAction(roomId, copies.map(operation => ({ type: 'add', operation })));
+    reply({ ok: true, operationIds: copies.map(op => op.id) });
+  });
+  
+  // Layers are shared by everyone in the room. Each change is broadcast as
+  // the complete stack; the acknowledgement tells the sender if it failed
+  function broadcastLayers(roomId) {
+    io.to(roomId).emit('layers-updated', {
+      layers: stateManager.getLayers(roomId)
+    });
+  }
+  
+  socket.on('create-layer', (data, callback) => {
+    const reply = typeof callback === 'function' ? callback : () => {};
+    const roomId = socket.data.roomId;
+    if (roomId && !canEditRoom(roomId)) return reply({ ok: false, error: VIEW_ONLY_ERROR });
+    if (!roomId) return reply({ ok: false, error: 'Not in a room' });
+    
+    const layers = stateManager.getLayers(roomId);
+    if (layers.length >= MAX_LAYERS) {
+      return reply({ ok: false, error: `A board can have at most ${MAX_LAYERS} layers` });
+    }
+    
+    const name = data && validateLayerName(data.name)
+      ? data.name.trim()
+      : `Layer ${layers.length + 1}`;
+    
+    const layer = stateManager.addLayer(roomId, {
+      id: `layer-${Date.now().toString(36)}-${Math.random().toString(36).substring(2, 8)}`,
+      name: name,
+      visible: true,
+      locked: false
+    });
+    
+    broadcastLayers(roomId);
+    reply({ ok: true, layer });
+  });
+  
+  socket.on('update-layer', (data, callback) => {
+    const reply = typeof callback === 'function' ? callback : () => {};
+    const roomId = socket.data.roomId;
+    if (roomId && !canEditRoom(roomId)) return reply({ ok: false, error: VIEW_ONLY_ERROR });
+    if (!roomId || !data || !data.changes) return reply({ ok: false, error: 'Invalid layer change' });
+    
+    // Only the name, visibility and lock can change
+    const changes = {};
+    if (data.changes.name !== undefined) {
+      if (!validateLayerName(data.changes.name)) {
+        return reply({ ok: false, error: `Layer names are 1-${MAX_LAYER_NAME_LENGTH} characters` });
+      }
+      changes.name = data.changes.name.trim();
+    }
+    if (typeof data.changes.visible === 'boolean') {
+      changes.visible = data.changes.visible;
+    }
+    if (typeof data.changes.locked === 'boolean') {
+      changes.locked = data.changes.locked;
+    }
+    
+    if (Object.keys(changes).length === 0 ||
+        !stateManager.updateLayer(roomId, data.layerId, changes)) {
+      return reply({ ok: false, error: 'Invalid layer change' });
+    }
+    
+    broadcastLayers(roomId);
+    reply({ ok: true });
+  });
+  
+  socket.on('move-layer', (data, callback) => {
+    const reply = typeof callback === 'function' ? callback : () => {};
+    const roomId = socket.data.roomId;
+    if (roomId && !canEditRoom(roomId)) return reply({ ok: false, error: VIEW_ONLY_ERROR });
+    if (!roomId || !data || !Number.isInteger(data.index)) {
+      return reply({ ok: false, error: 'Invalid layer position' });
+    }
+    
+    if (!stateManager.moveLayer(roomId, data.layerId, data.index)) {
+      return reply({ ok: false, error: 'Layer not found' });
+    }
+    
+    broadcastLayers(roomId);
+    reply({ ok: true });
+  });
+  
+  socket.on('delete-layer', (data, callback) => {
+    const reply = typeof callback === 'function' ? callback : () => {};
+    const roomId = socket.data.roomId;
+    if (roomId && !canEditRoom(roomId)) return reply({ ok: false, error: VIEW_ONLY_ERROR });
+    if (!roomId || !data) return reply({ ok: false, error: 'Layer not found' });
+    
+    // Only empty layers can go, so nobody's drawing disappears
+    if (!stateManager.removeLayer(roomId, data.layerId)) {
+      return reply({ ok: false, error: 'Only empty layers can be deleted, and a board keeps at least one' });
+    }
+    
+    broadcastLayers(roomId);
+    reply({ ok: true });
   });
   
   // Handle cursor movement
   socket.on('cursor-move', (data) => {
-    const rooms = Array.from(socket.rooms);
-    const roomId = rooms.find(room => room !== socket.id) || 'default-room';
+    const roomId = socket.data.roomId;
+    if (!roomId || !validatePoints([data])) return;
     
     // Broadcast cursor position to other users
     socket.to(roomId).emit('cursor-move', {
@@ -126,45 +1326,321 @@ io.on('connection', (socket) => {
     });
   });
   
+  // Handle viewport changes: the part of the board the user sees, shown
+  // as an outline to the others and followed by anyone following them
+  socket.on('viewport', (data) => {
+    const roomId = socket.data.roomId;
+    if (!roomId || !validateViewport(data)) return;
+    
+    const viewport = { x: data.x, y: data.y, width: data.width, height: data.height };
+    roomManager.setViewport(roomId, socket.id, viewport);
+    
+    socket.to(roomId).emit('viewport', {
+      userId: socket.id,
+      ...viewport
+    });
+  });
+  
+  // Bring everyone to my view: the others start following the sender
+  socket.on('summon', (data, callback) => {
+    const reply = typeof callback === 'function' ? callback : () => {};
+    const roomId = socket.data.roomId;
+    if (!roomId) return reply({ ok: false, error: 'Not in a room' });
+    if (!canEditRoom(roomId)) return reply({ ok: false, error: VIEW_ONLY_ERROR });
+    if (!validateViewport(data)) return reply({ ok: false, error: 'Invalid viewport' });
+    
+    const viewport = { x: data.x, y: data.y, width: data.width, height: data.height };
+    roomManager.setViewport(roomId, socket.id, viewport);
+    
+    socket.to(roomId).emit('summon', {
+      userId: socket.id,
+      username: socket.data.username,
+      viewport: viewport
+    });
+    reply({ ok: true });
+  });
+  
   // Handle undo operation
   socket.on('undo', () => {
-    const rooms = Array.from(socket.rooms);
-    const roomId = rooms.find(room => room !== socket.id) || 'default-room';
+    const roomId = socket.data.roomId;
+    if (!roomId || !canEditRoom(roomId)) return;
     
-    const undoneOperation = stateManager.undo(roomId);
+    // Users can only undo their own actions, also those from before a
+    // reconnect. What would overfill the room stays undone
+    const changes = stateManager.undo(roomId, socket.data.keyHash, getRoomSpace(roomId));
     
-    if (undoneOperation) {
-      // Broadcast undo to all users including sender
-      io.to(roomId).emit('undo', {
-        operationId: undoneOperation.id
+    if (changes) {
+      // Broadcast undo to all users including sender, as the list of
+      // operations it added, removed or updated
+      broadcastChange(io.to(roomId), roomId, 'undo', {
+        userId: socket.id,
+        changes: changes
       });
     }
   });
   
   // Handle redo operation
   socket.on('redo', () => {
-    const rooms = Array.from(socket.rooms);
-    const roomId = rooms.find(room => room !== socket.id) || 'default-room';
+    const roomId = socket.data.roomId;
+    if (!roomId || !canEditRoom(roomId)) return;
     
-    const redoneOperation = stateManager.redo(roomId);
+    const changes = stateManager.redo(roomId, socket.data.keyHash, getRoomSpace(roomId));
     
-    if (redoneOperation) {
-      // Broadcast redo to all users including sender
-      io.to(roomId).emit('redo', {
-        operation: redoneOperation
+    if (changes) {
+      // Broadcast redo to all users including sender; re-added operations
+      // carry the position they are restored to
+      broadcastChange(io.to(roomId), roomId, 'redo', {
+        userId: socket.id,
+        changes: changes
       });
     }
   });
   
   // Handle clear canvas
   socket.on('clear-canvas', () => {
-    const rooms = Array.from(socket.rooms);
-    const roomId = rooms.find(room => room !== socket.id) || 'default-room';
+    const roomId = socket.data.roomId;
+    if (!roomId || !canEditRoom(roomId)) return;
+    
+    const lockedLayerIds = stateManager.clearState(roomId);
+    
+    // Broadcast clear to all users; the board before it is now a version
+    // and locked layers keep their content
+    broadcastChange(io.to(roomId), roomId, 'clear-canvas', { lockedLayerIds });
+    broadcastVersions(roomId);
+  });
+  
+  // Version history: named copies of the board that can be previewed and
+  // restored. All requests answer through the acknowledgement
+  socket.on('list-versions', (data, callback) => {
+    const reply = typeof callback === 'function' ? callback : () => {};
+    const roomId = socket.data.roomId;
+    if (!roomId) return reply({ ok: false, error: 'Not in a room' });
+    
+    reply({
+      ok: true,
+      versions: stateManager.getVersions(roomId).map(describeVersion).reverse()
+    });
+  });
+  
+  socket.on('save-version', (data, callback) => {
+    const reply = typeof callback === 'function' ? callback : () => {};
+    const roomId = socket.data.roomId;
+    if (roomId && !canEditRoom(roomId)) return reply({ ok: false, error: VIEW_ONLY_ERROR });
+    if (!roomId) return reply({ ok: false, error: 'Not in a room' });
+    
+    const name = data && typeof data.name === 'string' ? data.name.trim() : '';
+    if (name.length === 0 || name.length > MAX_VERSION_NAME_LENGTH) {
+      return reply({ ok: false, error: `Version names have 1-${MAX_VERSION_NAME_LENGTH} characters` });
+    }
+    
+    const version = stateManager.saveVersion(roomId, {
+      name,
+      userId: socket.id,
+      username: socket.data.username
+    });
+    
+    broadcastVersions(roomId);
+    reply({ ok: true, version: describeVersion(version) });
+  });
+  
+  // Full operation list of a version, for previews
+  socket.on('get-version', (data, callback) => {
+    const reply = typeof callback === 'function' ? callback : () => {};
+    const roomId = socket.data.roomId;
+    
+    const version = roomId && data && stateManager.getVersion(roomId, data.versionId);
+    if (!version) return reply({ ok: false, error: 'Version not found' });
+    
+    reply({
+      ok: true,
+      version: { ...describeVersion(version), operations: version.operations }
+    });
+  });
+  
+  // Restoring replaces the board for everyone, as one undoable action of
+  // the user who restored it
+  socket.on('restore-version', (data, callback) => {
+    const reply = typeof callback === 'function' ? callback : () => {};
+    const roomId = socket.data.roomId;
+    if (roomId && !canEditRoom(roomId)) return reply({ ok: false, error: VIEW_ONLY_ERROR });
+    
+    if (!roomId || !data || !stateManager.getVersion(roomId, data.versionId)) {
+      return reply({ ok: false, error: 'Version not found' });
+    }
+    
+    const changes = stateManager.restoreVersion(roomId, data.versionId, socket.data.keyHash, getRoomSpace(roomId));
+    if (!changes) return reply({ ok: false, error: ROOM_FULL_ERROR });
+    
+    broadcastChange(io.to(roomId), roomId, 'operations-changed', {
+      userId: socket.id,
+      changes: changes
+    });
+    reply({ ok: true });
+  });
+  
+  // Room access: roles, password and invite links. Only owners can change
+  // them; all requests answer through the acknowledgement
+  socket.on('get-room-access', (data, callback) => {
+    const reply = typeof callback === 'function' ? callback : () => {};
+    const roomId = socket.data.roomId;
+    if (!roomId || !isRoomOwner(roomId)) return reply({ ok: false, error: 'Only owners can manage access' });
+    
+    reply({ ok: true, access: describeAccess(stateManager.getAccess(roomId)) });
+  });
+  
+  // password: a new password, null to open the room, or left out
+  socket.on('update-room-access', async (data, callback) => {
+    const reply = typeof callback === 'function' ? callback : () => {};
+    const roomId = socket.data.roomId;
+    if (!roomId || !isRoomOwner(roomId)) return reply({ ok: false, error: 'Only owners can manage access' });
+    if (!data) return reply({ ok: false, error: 'Invalid access settings' });
+    
+    if (data.password !== undefined && data.password !== null && !validatePassword(data.password)) {
+      return reply({ ok: false, error: `Passwords have 1-${MAX_PASSWORD_LENGTH} characters` });
+    }
+    const password = data.password ? await access.hashPassword(data.password) : null;
+    
+    // They may have left the room while the password was hashed
+    if (socket.data.roomId !== roomId || !isRoomOwner(roomId)) {
+      return reply({ ok: false, error: 'Only owners can manage access' });
+    }
+    
+    const roomAccess = { ...stateManager.getAccess(roomId) };
+    
+    if (data.password !== undefined) {
+      roomAccess.password = password;
+      
+      // Whoever is in the room already keeps access
+      if (roomAccess.password) {
+        roomAccess.members = { ...roomAccess.members };
+        roomManager.getUsers(roomId).forEach(user => {
+          const { keyHash, role } = roomManager.getUser(roomId, user.userId);
+          roomAccess.members[keyHash] = role;
+        });
+      }
+    }
+    
+    if (data.defaultRole !== undefined) {
+      if (!access.INVITE_ROLES.includes(data.defaultRole)) {
+        return reply({ ok: false, error: 'Invalid role' });
+      }
+      roomAccess.defaultRole = data.defaultRole;
+    }
+    
+    stateManager.setAccess(roomId, roomAccess);
+    reply({ ok: true, access: describeAccess(roomAccess) });
+  });
+  
+  // Create (or replace) the invite link for a role; revoke removes it
+  socket.on('update-invite', (data, callback) => {
+    const reply = typeof callback === 'function' ? callback : () => {};
+    const roomId = socket.data.roomId;
+    if (!roomId || !isRoomOwner(roomId)) return reply({ ok: false, error: 'Only owners can manage access' });
+    if (!data || !access.INVITE_ROLES.includes(data.role)) return reply({ ok: false, error: 'Invalid role' });
+    
+    const roomAccess = stateManager.getAccess(roomId);
+    const updated = {
+      ...roomAccess,
+      invites: { ...roomAccess.invites, [data.role]: data.revoke ? null : access.createToken() }
+    };
+    
+    stateManager.setAccess(roomId, updated);
+    reply({ ok: true, access: describeAccess(updated) });
+  });
+  
+  socket.on('set-role', (data, callback) => {
+    const reply = typeof callback === 'function' ? callback : () => {};
+    const roomId = socket.data.roomId;
+    if (!roomId || !isRoomOwner(roomId)) return reply({ ok: false, error: 'Only owners can change roles' });
+    
+    if (!data || !access.ROLES.includes(data.role)) return reply({ ok: false, error: 'Invalid role' });
+    
+    // Owners can't demote themselves, so a room always keeps an owner
+    if (data.userId === socket.id) return reply({ ok: false, error: 'You can not change your own role' });
+    
+    const user = roomManager.setRole(roomId, data.userId, data.role);
+    if (!user) return reply({ ok: false, error: 'User not found' });
+    
+    setMemberRole(roomId, user.keyHash, data.role);
+    
+    // Broadcast to all users including the owner and the user concerned
+    io.to(roomId).emit('user-role-changed', {
+      userId: data.userId,
+      role: data.role
+    });
+    reply({ ok: true });
+  });
+  
+  // Change the name and/or color others see; viewers may too. Colors must
+  // be free in the room. Operations and chat messages keep the name they
+  // were made with
+  socket.on('update-profile', (data, callback) => {
+    const reply = typeof callback === 'function' ? callback : () => {};
+    const roomId = socket.data.roomId;
+    if (!roomId) return reply({ ok: false, error: 'Not in a room' });
+    if (!data || typeof data !== 'object') return reply({ ok: false, error: 'Invalid profile' });
+    
+    const profile = {};
+    if (data.username !== undefined) {
+      const username = typeof data.username === 'string' ? data.username.trim() : '';
+      if (username.length === 0 || username.length > MAX_USERNAME_LENGTH) {
+        return reply({ ok: false, error: `Names have 1-${MAX_USERNAME_LENGTH} characters` });
+      }
+      profile.username = username;
+    }
+    if (data.color !== undefined) {
+      if (typeof data.color !== 'string' || !COLOR_PATTERN.test(data.color)) {
+        return reply({ ok: false, error: 'Invalid color' });
+      }
+      if (roomManager.isColorTaken(roomId, data.color, socket.id)) {
+        return reply({ ok: false, error: 'Someone in this room already has that color' });
+      }
+      profile.color = data.color;
+    }
+    
+    const user = roomManager.updateProfile(roomId, socket.id, profile);
+    if (!user) return reply({ ok: false, error: 'Not in a room' });
+    socket.data.username = user.username;
+    
+    // Everyone, including the sender, updates the users list and cursors
+    io.to(roomId).emit('user-updated', {
+      userId: socket.id,
+      username: user.username,
+      color: user.color
+    });
+    reply({ ok: true, username: user.username, color: user.color });
+  });
+  
+  // Chat is open to everyone in the room, viewers included. Messages are
+  // numbered like board changes, so a reconnecting client gets the ones
+  // it missed
+  socket.on('chat-message', (data, callback) => {
+    const reply = typeof callback === 'function' ? callback : () => {};
+    const roomId = socket.data.roomId;
+    if (!roomId) return reply({ ok: false, error: 'Not in a room' });
+    
+    const text = data && typeof data.text === 'string' ? data.text.trim() : '';
+    if (text.length === 0 || text.length > MAX_CHAT_LENGTH) {
+      return reply({ ok: false, error: `Messages have 1-${MAX_CHAT_LENGTH} characters` });
+    }
     
-    stateManager.clearState(roomId);
+    const user = roomManager.getUser(roomId, socket.id);
+    const message = {
+      id: `m-${Date.now().toString(36)}-${Math.random().toString(36).substring(2, 8)}`,
+      userId: socket.id,
+      username: socket.data.username,
+      color: user ? user.color : null,
+      text: text,
+      timestamp: Date.now()
+    };
     
-    // Broadcast clear to all users
-    io.to(roomId).emit('clear-canvas');
+    stateManager.addChatMessage(roomId, message);
+    
+    // Broadcast to all users including the sender. Chat isn't a numbered
+    // change, so it can't crowd edits out of the change log; reconnecting
+    // clients get the recent messages with initial-state or resync
+    io.to(roomId).emit('chat-message', { message });
+    reply({ ok: true });
   });
   
   // Handle ping for latency measurement
@@ -176,18 +1652,9 @@ io.on('connection', (socket) => {
 
   // Handle disconnection
   socket.on('disconnect', () => {
-    const rooms = Array.from(socket.rooms);
-    const roomId = rooms.find(room => room !== socket.id) || 'default-room';
+    const roomId = leaveCurrentRoom(socket);
     
     if (roomId) {
-      const user = roomManager.removeUser(roomId, socket.id);
-      
-      // Notify other users
-      socket.to(roomId).emit('user-left', {
-        userId: socket.id,
-        username: user?.username
-      });
-      
       console.log(`User ${socket.id} disconnected from ${roomId}`);
     }
   });
@@ -197,3 +1664,64 @@ server.listen(PORT, () => {
   console.log(`Server running on port ${PORT}`);
   console.log(`Open http://localhost:${PORT} in your browser`);
 });
+
+// Periodic versions, only for rooms that changed since their last one
+setInterval(() => {
+  stateManager.saveAutoVersions('Autosave').forEach(broadcastVersions);
+}, AUTO_VERSION_MINUTES * 60 * 1000);
+
+// Rooms nobody is in are written to storage and dropped from memory once
+// they have been empty this long; joining loads them again
+const roomEmptySince = new Map();
+
+setInterval(() => {
+  const now = Date.now();
+
+  // Rooms someone is still being let into count as in use
+  const joining = new Set();
+  io.sockets.sockets.forEach(socket => joining.add(socket.data.joiningRoomId));
+
+  stateManager.getRoomIds().forEach(roomId => {
+    if (io.sockets.adapter.rooms.has(roomId) || joining.has(roomId)) {
+      roomEmptySince.delete(roomId);
+    } else if (!roomEmptySince.has(roomId)) {
+      roomEmptySince.set(roomId, now);
+    } else if (now - roomEmptySince.get(roomId) >= ROOM_IDLE_MINUTES * 60 * 1000) {
+      roomEmptySince.delete(roomId);
+      stateManager.unloadRoom(roomId);
+    }
+  });
+
+  exportLimiters.forEach((limiter, address) => {
+    if (limiter.isIdle(now)) {
+      exportLimiters.delete(address);
+    }
+  });
+}, 60 * 1000);
+
+/**
+ * Stop accepting connections and write every room to storage before exiting
+ */
+let shuttingDown = false;
+
+async function shutdown(signal) {
+  if (shuttingDown) return;
+  shuttingDown = true;
+  
+  console.log(`${signal} received, saving rooms...`);
+  
+  io.close();
+  
+  try {
+    await stateManager.flush();
+    console.log('All rooms saved');
+    process.exit(0);
+  } catch (error) {
+    console.error('Failed to save rooms on shutdown:', error);
+    process.exit(1);
+  }
+}
+
+process.on('SIGINT', () => shutdown('SIGINT'));
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+
@@ -0,0 +1,190 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Storage backends for DrawingStateManager
+ *
+ * A backend persists each room as a snapshot plus an append-only list of
+ * journal entries recorded since that snapshot. DrawingStateManager writes
+ * every mutation through append() and replays the entries on load().
+ *
+ * Backend interface:
+ *   load(roomId)             -> Promise<{ snapshot, entries } | null>
+ *   append(roomId, entry)    -> Promise (resolves once the entry is written)
+ *   compact(roomId, snapshot)-> Promise (replaces journal with a snapshot)
+ *   exists(roomId)           -> Promise<boolean>
+ *   close()                  -> Promise (waits for pending writes)
+ */
+
+/**
+ * MemoryStorage keeps nothing between restarts
+ * Used when persistence is disabled; rooms dropped from memory while the
+ * server runs are kept as their last snapshot
+ */
+class MemoryStorage {
+  constructor() {
+    this.snapshots = new Map();
+  }
+
+  async load(roomId) {
+    if (!this.snapshots.has(roomId)) {
+      return null;
+    }
+    return { snapshot: this.snapshots.get(roomId), entries: [] };
+  }
+
+  async append() {}
+
+  async compact(roomId, snapshot) {
+    this.snapshots.set(roomId, snapshot);
+  }
+
+  async exists(roomId) {
+    return this.snapshots.has(roomId);
+  }
+
+  async close() {}
+}
+
+/**
+ * JournalStorage persists rooms to a local directory
+ * Each room has a `<room>.json` snapshot and a `<room>.journal` file with
+ * one JSON entry per line, appended as operations happen
+ */
+class JournalStorage {
+  constructor(directory) {
+    this.directory = directory;
+
+    // Pending write per room so entries land in the order they were made
+    this.writeQueues = new Map();
+
+    fs.mkdirSync(this.directory, { recursive: true });
+  }
+
+  /**
+   * Build file paths for a room (room ids are encoded to be filename safe)
+   */
+  _paths(roomId) {
+    const name = encodeURIComponent(roomId);
+    return {
+      snapshot: path.join(this.directory, `${name}.json`),
+      journal: path.join(this.directory, `${name}.journal`)
+    };
+  }
+
+  /**
+   * Chain a write after any pending write for the same room
+   */
+  _enqueue(roomId, task) {
+    const previous = this.writeQueues.get(roomId) || Promise.resolve();
+    const next = previous.then(task).catch(error => {
+      console.error(`Failed to persist room ${roomId}:`, error);
+    });
+
+    this.writeQueues.set(roomId, next);
+    next.then(() => {
+      // Drop the queue once it has drained
+      if (this.writeQueues.get(roomId) === next) {
+        this.writeQueues.delete(roomId);
+      }
+    });
+
+    return next;
+  }
+
+  async load(roomId) {
+    const files = this._paths(roomId);
+
+    // Make sure nothing for this room is still being written
+    await this.writeQueues.get(roomId);
+
+    const snapshotText = await readIfExists(files.snapshot);
+    const journalText = await readIfExists(files.journal);
+
+    if (snapshotText === null && journalText === null) {
+      return null;
+    }
+
+    const snapshot = snapshotText ? JSON.parse(snapshotText) : null;
+    const entries = [];
+
+    if (journalText) {
+      journalText.split('\n').forEach((line, index) => {
+        if (!line.trim()) return;
+
+        try {
+          entries.push(JSON.parse(line));
+        } catch (e) {
+          // A crash mid-write can leave a torn last line behind
+          console.warn(`Skipping unreadable journal line ${index + 1} for room ${roomId}`);
+        }
+      });
+    }
+
+    return { snapshot, entries };
+  }
+
+  append(roomId, entry) {
+    const { journal } = this._paths(roomId);
+    const line = JSON.stringify(entry) + '\n';
+
+    return this._enqueue(roomId, () => fs.promises.appendFile(journal, line));
+  }
+
+  compact(roomId, snapshot) {
+    const files = this._paths(roomId);
+
+    // Serialized now: the room keeps changing while earlier writes finish,
+    // and those later changes are journaled after the snapshot
+    const text = JSON.stringify(snapshot);
+
+    return this._enqueue(roomId, async () => {
+      // Write to a temp file first so a crash never leaves a partial snapshot
+      const tempFile = `${files.snapshot}.tmp`;
+      await fs.promises.writeFile(tempFile, text);
+      await fs.promises.rename(tempFile, files.snapshot);
+      await fs.promises.rm(files.journal, { force: true });
+    });
+  }
+
+  async exists(roomId) {
+    const files = this._paths(roomId);
+
+    await this.writeQueues.get(roomId);
+
+    return (await fileExists(files.snapshot)) || (await fileExists(files.journal));
+  }
+
+  async close() {
+    await Promise.all(Array.from(this.writeQueues.values()));
+  }
+}
+
+/**
+ * Check whether a file exists
+ */
+async function fileExists(file) {
+  try {
+    await fs.promises.access(file);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Read a file as text, returning null when it does not exist
+ */
+async function readIfExists(file) {
+  try {
+    return await fs.promises.readFile(file, 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+}
+
+module.exports = {
+  MemoryStorage,
+  JournalStorage
+};
@@ -0,0 +1,275 @@
+/**
+ * Path Codec
+ * Used by both the server and the browser. Simplifies freehand paths
+ * before they are sent, and packs point lists into bytes for the wire:
+ * coordinates are rounded to 1/PRECISION of a unit, each point is stored
+ * as its difference from the previous one, and the numbers are written
+ * as zigzag varints. Pen strokes add a pressure byte per point. Stored
+ * operations keep plain { x, y } or { x, y, p } points
+ */
+const PathCodec = (() => {
+  // First byte of every encoded point list: plain points, or points with
+  // pen pressure
+  const FORMAT_POINTS = 1;
+  const FORMAT_PRESSURE = 2;
+
+  // Pressure (0-1) is kept in one byte
+  const PRESSURE_STEPS = 255;
+
+  // Coordinates are kept to 1/100 of a board unit
+  const PRECISION = 100;
+
+  // Longest varint a coordinate can take (7 bits per byte, within 2^53)
+  const MAX_VARINT_BYTES = 8;
+
+  // Farthest a point may be from the origin on either axis. The server
+  // rejects points beyond it, and the difference between any two points
+  // then fits in far fewer than MAX_VARINT_BYTES, so every stored path
+  // can be decoded
+  const MAX_COORDINATE = 10000000;
+
+  // Simplified paths stay this close to the drawn one, per unit of stroke
+  // width, so thin strokes keep more detail
+  const TOLERANCE_PER_WIDTH = 0.1;
+  const MIN_TOLERANCE = 0.2;
+
+  function getTolerance(strokeWidth) {
+    return Math.max(strokeWidth * TOLERANCE_PER_WIDTH, MIN_TOLERANCE);
+  }
+
+  /**
+   * Squared distance from a point to the segment from a to b. Pressure
+   * times pressureScale counts as a third coordinate
+   */
+  function segmentDistanceSq(point, a, b, pressureScale) {
+    const pressure = p => (p.p === undefined ? 0 : p.p * pressureScale);
+    const dx = b.x - a.x;
+    const dy = b.y - a.y;
+    const dz = pressure(b) - pressure(a);
+    const lengthSq = dx * dx + dy * dy + dz * dz;
+
+    let t = lengthSq === 0
+      ? 0
+      : ((point.x - a.x) * dx + (point.y - a.y) * dy + (pressure(point) - pressure(a)) * dz) / lengthSq;
+    t = Math.max(0, Math.min(1, t));
+
+    const x = a.x + t * dx - point.x;
+    const y = a.y + t * dy - point.y;
+    const z = pressure(a) + t * dz - pressure(point);
+    return x * x + y * y + z * z;
+  }
+
+  /**
+   * Ramer-Douglas-Peucker: drop the points that lie within tolerance of
+   * the line through their neighbours. The first and last points always
+   * stay, and the points kept are the original objects. pressureScale
+   * turns pressure into units, so points where the width changes stay
+   */
+  function simplifyPath(points, tolerance, pressureScale = 0) {
+    if (points.length < 3) return points.slice();
+
+    const keep = new Uint8Array(points.length);
+    keep[0] = 1;
+    keep[points.length - 1] = 1;
+
+    // Iterative so long strokes can't overflow the call stack
+    const toleranceSq = tolerance * tolerance;
+    const ranges = [[0, points.length - 1]];
+
+    while (ranges.length > 0) {
+      const [first, last] = ranges.pop();
+      let farthest = -1;
+      let farthestSq = toleranceSq;
+
+      for (let i = first + 1; i < last; i++) {
+        const distanceSq = segmentDistanceSq(points[i], points[first], points[last], pressureScale);
+        if (distanceSq > farthestSq) {
+          farthest = i;
+          farthestSq = distanceSq;
+        }
+      }
+
+      if (farthest !== -1) {
+        keep[farthest] = 1;
+        ranges.push([first, farthest], [farthest, last]);
+      }
+    }
+
+    return points.filter((point, i) => keep[i]);
+  }
+
+  // Zigzag maps signed numbers to unsigned ones (0, -1, 1, -2 -> 0, 1, 2, 3).
+  // Varints use arithmetic, since bitwise operators stop at 32 bits
+  function zigzag(value) {
+    return value < 0 ? -2 * value - 1 : 2 * value;
+  }
+
+  function writeVarint(bytes, value) {
+    let rest = value;
+
+    while (rest >= 128) {
+      bytes.push(rest % 128 + 128);
+      rest = Math.floor(rest / 128);
+    }
+    bytes.push(rest);
+  }
+
+  /**
+   * Read a varint at reader.offset; null if the bytes run out or it is too long
+   */
+  function readVarint(bytes, reader, signed) {
+    let value = 0;
+    let scale = 1;
+
+    for (let i = 0; i < MAX_VARINT_BYTES; i++) {
+      if (reader.offset >= bytes.length) return null;
+
+      const byte = bytes[reader.offset++];
+      value += (byte % 128) * scale;
+      scale *= 128;
+
+      if (byte < 128) {
+        if (!signed) return value;
+        return value % 2 === 0 ? value / 2 : -(value + 1) / 2;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Encode [{ x, y, p? }, ...] as bytes: format, point count, then the
+   * rounded difference to the previous point for x and y, followed by
+   * the pressure if any point has one (missing pressure counts as full)
+   */
+  function encodePoints(points) {
+    const withPressure = points.some(point => point.p !== undefined);
+    const bytes = [withPressure ? FORMAT_PRESSURE : FORMAT_POINTS];
+    writeVarint(bytes, points.length);
+
+    let x = 0;
+    let y = 0;
+    points.forEach(point => {
+      const nextX = Math.round(point.x * PRECISION);
+      const nextY = Math.round(point.y * PRECISION);
+      writeVarint(bytes, zigzag(nextX - x));
+      writeVarint(bytes, zigzag(nextY - y));
+      x = nextX;
+      y = nextY;
+
+      if (withPressure) {
+        const pressure = point.p === undefined ? 1 : Math.max(0, Math.min(1, point.p));
+        bytes.push(Math.round(pressure * PRESSURE_STEPS));
+      }
+    });
+
+    return new Uint8Array(bytes);
+  }
+
+  /**
+   * Decode bytes from encodePoints (an ArrayBuffer, typed array or Node
+   * Buffer); null if they are malformed
+   */
+  function decodePoints(data) {
+    let bytes;
+    if (data instanceof ArrayBuffer) {
+      bytes = new Uint8Array(data);
+    } else if (ArrayBuffer.isView(data)) {
+      bytes = new Uint8Array(data.buffer, data.byteOffset, data.byteLength);
+    } else {
+      return null;
+    }
+
+    const withPressure = bytes[0] === FORMAT_PRESSURE;
+    if (bytes[0] !== FORMAT_POINTS && !withPressure) return null;
+
+    const reader = { offset: 1 };
+    const count = readVarint(bytes, reader, false);
+
+    // Every point takes at least two bytes, three with pressure
+    const pointSize = withPressure ? 3 : 2;
+    if (count === null || count > (bytes.length - reader.offset) / pointSize) return null;
+
+    const points = [];
+    let x = 0;
+    let y = 0;
+    for (let i = 0; i < count; i++) {
+      const dx = readVarint(bytes, reader, true);
+      const dy = readVarint(bytes, reader, true);
+      if (dx === null || dy === null) return null;
+
+      x += dx;
+      y += dy;
+      if (Math.abs(x) > MAX_COORDINATE * PRECISION || Math.abs(y) > MAX_COORDINATE * PRECISION) return null;
+      const point = { x: x / PRECISION, y: y / PRECISION };
+
+      if (withPressure) {
+        if (reader.offset >= bytes.length) return null;
+        point.p = bytes[reader.offset++] / PRESSURE_STEPS;
+      }
+      points.push(point);
+    }
+
+    return reader.offset === bytes.length ? points : null;
+  }
+
+  /**
+   * Apply fn to the operations in a message: the message itself if it is
+   * an operation, `operation`, `operations` or the `operation` of each of
+   * its `changes`. Returns a copy; the message is not changed
+   */
+  function mapOperations(data, fn) {
+    if (!data || typeof data !== 'object') return data;
+
+    const mapped = { ...data };
+    if ('points' in mapped) {
+      Object.assign(mapped, fn(mapped));
+    }
+    if (mapped.operation) {
+      mapped.operation = fn(mapped.operation);
+    }
+    if (Array.isArray(mapped.operations)) {
+      mapped.operations = mapped.operations.map(fn);
+    }
+    if (Array.isArray(mapped.changes)) {
+      mapped.changes = mapped.changes.map(change =>
+        change && change.operation ? { ...change, operation: fn(change.operation) } : change
+      );
+    }
+
+    return mapped;
+  }
+
+  /**
+   * Encode the points of every operation in a message
+   */
+  function packOperations(data) {
+    return mapOperations(data, op =>
+      op && Array.isArray(op.points) ? { ...op, points: encodePoints(op.points) } : op
+    );
+  }
+
+  /**
+   * Decode the points of every operation in a message. Plain point
+   * arrays are left alone; malformed bytes become null
+   */
+  function unpackOperations(data) {
+    return mapOperations(data, op =>
+      op && op.points && !Array.isArray(op.points) ? { ...op, points: decodePoints(op.points) } : op
+    );
+  }
+
+  return {
+    MAX_COORDINATE,
+    getTolerance,
+    simplifyPath,
+    encodePoints,
+    decodePoints,
+    packOperations,
+    unpackOperations
+  };
+})();
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = PathCodec;
+}
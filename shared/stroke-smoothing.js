@@ -0,0 +1,128 @@
+/**
+ * Stroke Smoothing
+ * Used by both the server (SVG export) and the browser, so a smoothed
+ * stroke has the same shape everywhere. Freehand operations store their
+ * smoothing level (0-3); their points stay as drawn and the curve is
+ * computed when they are rendered. The path is resampled at even steps
+ * along its length and every sample is averaged with its neighbours
+ * within the level's radius. Working along the length rather than per
+ * point means a stroke looks the same before and after simplification
+ * dropped most of its points
+ */
+const StrokeSmoothing = (() => {
+  const MAX_LEVEL = 3;
+
+  // Averaging radius per level, in board units
+  const RADII = [0, 3, 6, 12];
+
+  // Samples per radius; more only costs time
+  const SAMPLES_PER_RADIUS = 4;
+
+  // Most samples one stroke gets, whatever its length. Longer strokes are
+  // sampled more sparsely, so they smooth over a wider stretch
+  const MAX_SAMPLES = 20000;
+
+  function isValidLevel(level) {
+    return Number.isInteger(level) && level >= 0 && level <= MAX_LEVEL;
+  }
+
+  function interpolate(a, b, t) {
+    const point = { x: a.x + (b.x - a.x) * t, y: a.y + (b.y - a.y) * t };
+    if (a.p !== undefined && b.p !== undefined) {
+      point.p = a.p + (b.p - a.p) * t;
+    }
+    return point;
+  }
+
+  function pathLength(points) {
+    let length = 0;
+    for (let i = 1; i < points.length; i++) {
+      length += Math.hypot(points[i].x - points[i - 1].x, points[i].y - points[i - 1].y);
+    }
+    return length;
+  }
+
+  /**
+   * Points every `step` units along the path, plus its first and last point
+   */
+  function resample(points, step) {
+    const samples = [points[0]];
+    let travelled = 0;
+    let next = step;
+
+    for (let i = 1; i < points.length; i++) {
+      const a = points[i - 1];
+      const b = points[i];
+      const length = Math.hypot(b.x - a.x, b.y - a.y);
+
+      while (length > 0 && next <= travelled + length) {
+        samples.push(interpolate(a, b, (next - travelled) / length));
+        next += step;
+      }
+      travelled += length;
+    }
+
+    const last = points[points.length - 1];
+    const end = samples[samples.length - 1];
+    if (end.x !== last.x || end.y !== last.y) {
+      samples.push(last);
+    }
+
+    return samples;
+  }
+
+  /**
+   * Points to render for a stroke at a smoothing level. Level 0, dots and
+   * single segments come back unchanged. The ends stay where they were
+   * drawn: the averaging window shrinks towards them
+   */
+  function smoothPoints(points, level) {
+    if (!level || !isValidLevel(level) || points.length < 3) return points;
+
+    const step = Math.max(RADII[level] / SAMPLES_PER_RADIUS, pathLength(points) / MAX_SAMPLES);
+    const samples = resample(points, step);
+
+    // Shorter than a step: nothing to smooth, and dots stay dots
+    if (samples.length < 3) return points;
+
+    const last = samples.length - 1;
+    const withPressure = samples.every(sample => sample.p !== undefined);
+
+    return samples.map((sample, i) => {
+      const reach = Math.min(SAMPLES_PER_RADIUS, i, last - i);
+      if (reach === 0) return sample;
+
+      // Triangular weights: nearer samples count more
+      let x = 0;
+      let y = 0;
+      let p = 0;
+      let total = 0;
+      for (let j = -reach; j <= reach; j++) {
+        const weight = reach + 1 - Math.abs(j);
+        const neighbour = samples[i + j];
+        x += neighbour.x * weight;
+        y += neighbour.y * weight;
+        if (withPressure) {
+          p += neighbour.p * weight;
+        }
+        total += weight;
+      }
+
+      const point = { x: x / total, y: y / total };
+      if (withPressure) {
+        point.p = p / total;
+      }
+      return point;
+    });
+  }
+
+  return {
+    MAX_LEVEL,
+    isValidLevel,
+    smoothPoints
+  };
+})();
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = StrokeSmoothing;
+}